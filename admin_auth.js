@@ -0,0 +1,132 @@
+/**
+ * admin_auth.js - Wallet-signature login for admins
+ *
+ * 1. the client asks for a challenge for its wallet and gets a one-time message
+ * 2. the wallet signs the message (Phantom signMessage, ed25519)
+ * 3. the server verifies the signature against the wallet's public key and
+ *    opens a short-lived session with the wallet's role
+ *
+ * Admin wallets come from ADMIN_WALLETS ("<address>:<role>,..."). Roles:
+ * - operator: starts, resets and schedules rounds, retries failed payouts,
+ *             uploads and switches themes
+ * - viewer:   sees the admin reports (anti-spam, payouts) but cannot change anything
+ */
+
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+
+const ADMIN_ROLES = {
+  OPERATOR: 'operator',
+  VIEWER: 'viewer'
+};
+
+const ROLE_PERMISSIONS = {
+  [ADMIN_ROLES.OPERATOR]: ['start_betting', 'reset', 'pause_rounds', 'resume_rounds', 'subscribe', 'view_payouts', 'retry_payouts', 'manage_themes'],
+  [ADMIN_ROLES.VIEWER]: ['subscribe', 'view_payouts']
+};
+
+// "<address>:<role>,<address>" -> Map(address -> role); the role defaults to operator
+function parseAdminWallets(spec) {
+  const admins = new Map();
+  for (const entry of (spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [address, role = ADMIN_ROLES.OPERATOR] = entry.split(':').map(s => s.trim());
+    if (!ROLE_PERMISSIONS[role]) {
+      throw new Error(`Unknown admin role "${role}" for ${address}. Use one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}`);
+    }
+    try {
+      new PublicKey(address);
+    } catch (error) {
+      throw new Error(`Invalid admin wallet address "${address}"`);
+    }
+    admins.set(address, role);
+  }
+  return admins;
+}
+
+function verifySignature(walletAddress, message, signature) {
+  const publicKey = crypto.createPublicKey({
+    key: {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      x: Buffer.from(new PublicKey(walletAddress).toBytes()).toString('base64url')
+    },
+    format: 'jwk'
+  });
+  return crypto.verify(null, Buffer.from(message, 'utf8'), publicKey, signature);
+}
+
+class AdminAuth {
+  constructor({ admins, challengeTtlMs = 2 * 60 * 1000, sessionTtlMs = 15 * 60 * 1000 }) {
+    this.admins = admins;
+    this.challengeTtlMs = challengeTtlMs;
+    this.sessionTtlMs = sessionTtlMs;
+    this.challenges = new Map(); // nonce -> { walletAddress, message, expiresAt }
+    this.sessions = new Map();   // token -> { walletAddress, role, expiresAt }
+  }
+
+  getRole(walletAddress) {
+    return this.admins.get(walletAddress) || null;
+  }
+
+  // Issues a fresh one-time message for an admin wallet to sign
+  createChallenge(walletAddress, now = Date.now()) {
+    if (!this.getRole(walletAddress)) throw new Error('Wallet is not an admin');
+    for (const [key, challenge] of this.challenges) {
+      if (challenge.expiresAt < now) this.challenges.delete(key);
+    }
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + this.challengeTtlMs;
+    const message = [
+      'Boss Fight admin login',
+      `Wallet: ${walletAddress}`,
+      `Nonce: ${nonce}`,
+      `Expires: ${new Date(expiresAt).toISOString()}`
+    ].join('\n');
+    this.challenges.set(nonce, { walletAddress, message, expiresAt });
+    return { nonce, message, expiresAt };
+  }
+
+  // Checks the signed challenge (base64 signature) and opens a session.
+  // A challenge can be answered only once, right or wrong.
+  login(walletAddress, nonce, signatureBase64, now = Date.now()) {
+    const role = this.getRole(walletAddress);
+    if (!role) throw new Error('Wallet is not an admin');
+
+    const challenge = this.challenges.get(nonce);
+    this.challenges.delete(nonce);
+    if (!challenge || challenge.walletAddress !== walletAddress || challenge.expiresAt < now) {
+      throw new Error('No pending challenge, request a new one');
+    }
+
+    const signature = Buffer.from(signatureBase64 || '', 'base64');
+    if (signature.length !== 64 || !verifySignature(walletAddress, challenge.message, signature)) {
+      throw new Error('Invalid signature');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = { walletAddress, role, expiresAt: now + this.sessionTtlMs };
+    this.sessions.set(token, session);
+    return { token, ...session };
+  }
+
+  // The live session for a token, or null once it expired or was revoked
+  getSession(token, now = Date.now()) {
+    const session = token ? this.sessions.get(token) : null;
+    if (!session) return null;
+    if (session.expiresAt < now) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  logout(token) {
+    this.sessions.delete(token);
+  }
+
+  can(role, action) {
+    return Boolean(ROLE_PERMISSIONS[role]) && ROLE_PERMISSIONS[role].includes(action);
+  }
+}
+
+module.exports = { AdminAuth, ADMIN_ROLES, parseAdminWallets, verifySignature };
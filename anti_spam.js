@@ -0,0 +1,192 @@
+/**
+ * anti_spam.js - Per-user limits on hits and heals during a fight
+ *
+ * Every keyword message goes through check() before it touches the boss:
+ * - cooldown:   minimum time between two counted messages of the same user
+ * - rate_limit: max counted messages per user in any one second
+ * - duplicate:  the same text as the user's last counted message, within a
+ *               short window. Plain keywords ("HIT") are what everyone types
+ *               and are exempt; cooldown and rate limit cover them.
+ * - flagged:    the user was flagged as a bot earlier in the round
+ *
+ * The bot detector looks at the cadence of a user's last messages, counted or
+ * not: macros either fire faster than anyone can type or at an interval that
+ * is too regular to be human. Flagged users are ignored for the rest of the round.
+ *
+ * Timestamps come from the chat message, so replays are filtered exactly like
+ * the live fight was.
+ */
+
+const REJECTION_REASONS = {
+  COOLDOWN: 'cooldown',
+  RATE_LIMIT: 'rate_limit',
+  DUPLICATE: 'duplicate',
+  FLAGGED: 'flagged'
+};
+
+const FLAG_REASONS = {
+  TOO_FAST: 'too_fast',
+  TOO_REGULAR: 'too_regular'
+};
+
+function emptyReasonCounts() {
+  return Object.fromEntries(Object.values(REJECTION_REASONS).map(reason => [reason, 0]));
+}
+
+class SpamFilter {
+  constructor({
+    cooldownMs = 500,
+    maxHitsPerSecond = 3,
+    duplicateWindowMs = 1500,
+    botSampleSize = 10,
+    botMinIntervalMs = 100,
+    botMinJitterMs = 15
+  } = {}) {
+    this.cooldownMs = cooldownMs;
+    this.maxHitsPerSecond = maxHitsPerSecond;
+    this.duplicateWindowMs = duplicateWindowMs;
+    this.botSampleSize = botSampleSize;
+    this.botMinIntervalMs = botMinIntervalMs;
+    this.botMinJitterMs = botMinJitterMs;
+    this.reset();
+  }
+
+  reset() {
+    this.users = new Map(); // username -> tracking + counters
+    this.rejectedTotal = 0;
+    this.rejectedByReason = emptyReasonCounts();
+  }
+
+  getUser(username) {
+    let user = this.users.get(username);
+    if (!user) {
+      user = {
+        accepted: 0,
+        rejected: emptyReasonCounts(),
+        lastAcceptedAt: null,
+        acceptedTimes: [], // counted messages within the last second
+        recentTimes: [],   // every keyword message, for the bot detector
+        lastAcceptedText: null,
+        flagged: null      // { reason, at } once flagged
+      };
+      this.users.set(username, user);
+    }
+    return user;
+  }
+
+  // Returns { allowed: true } or { allowed: false, reason, flagged } where
+  // flagged is set when this very message got the user flagged.
+  // keyword: the message is nothing but a keyword, so it is never a duplicate
+  check(username, message, timestamp, { keyword = false } = {}) {
+    const user = this.getUser(username);
+    const text = (message || '').trim().toUpperCase();
+
+    if (user.flagged) return this.reject(user, REJECTION_REASONS.FLAGGED);
+
+    user.recentTimes.push(timestamp);
+    if (user.recentTimes.length > this.botSampleSize) user.recentTimes.shift();
+    const flagReason = this.detectBot(user.recentTimes);
+    if (flagReason) {
+      user.flagged = { reason: flagReason, at: timestamp };
+      return { ...this.reject(user, REJECTION_REASONS.FLAGGED), flagged: user.flagged };
+    }
+
+    if (user.lastAcceptedAt !== null && timestamp - user.lastAcceptedAt < this.cooldownMs) {
+      return this.reject(user, REJECTION_REASONS.COOLDOWN);
+    }
+
+    user.acceptedTimes = user.acceptedTimes.filter(t => timestamp - t < 1000);
+    if (this.maxHitsPerSecond > 0 && user.acceptedTimes.length >= this.maxHitsPerSecond) {
+      return this.reject(user, REJECTION_REASONS.RATE_LIMIT);
+    }
+
+    // Only counted messages move the window, or a steady player would keep
+    // pushing it forward and never get through
+    const isDuplicate = !keyword && this.duplicateWindowMs > 0 &&
+      user.lastAcceptedText === text &&
+      timestamp - user.lastAcceptedAt < this.duplicateWindowMs;
+    if (isDuplicate) return this.reject(user, REJECTION_REASONS.DUPLICATE);
+
+    user.accepted++;
+    user.lastAcceptedAt = timestamp;
+    user.lastAcceptedText = text;
+    user.acceptedTimes.push(timestamp);
+    return { allowed: true };
+  }
+
+  reject(user, reason) {
+    user.rejected[reason]++;
+    this.rejectedByReason[reason]++;
+    this.rejectedTotal++;
+    return { allowed: false, reason };
+  }
+
+  detectBot(times) {
+    if (this.botSampleSize < 3 || times.length < this.botSampleSize) return null;
+
+    const intervals = [];
+    for (let i = 1; i < times.length; i++) intervals.push(times[i] - times[i - 1]);
+    const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+    if (mean < this.botMinIntervalMs) return FLAG_REASONS.TOO_FAST;
+
+    const variance = intervals.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / intervals.length;
+    if (Math.sqrt(variance) < this.botMinJitterMs) return FLAG_REASONS.TOO_REGULAR;
+    return null;
+  }
+
+  getFlagged() {
+    return Array.from(this.users.entries())
+      .filter(([, user]) => user.flagged)
+      .map(([username, user]) => ({ username, reason: user.flagged.reason, at: user.flagged.at }));
+  }
+
+  // Per-user counters for users with at least one rejected message
+  getRejectedUsers() {
+    return Array.from(this.users.entries())
+      .filter(([, user]) => Object.values(user.rejected).some(count => count > 0))
+      .map(([username, user]) => ({
+        username,
+        accepted: user.accepted,
+        rejected: Object.values(user.rejected).reduce((sum, count) => sum + count, 0),
+        ...user.rejected,
+        flagReason: user.flagged ? user.flagged.reason : ''
+      }));
+  }
+
+  getReport() {
+    return {
+      rejectedTotal: this.rejectedTotal,
+      rejectedByReason: { ...this.rejectedByReason },
+      flagged: this.getFlagged(),
+      users: this.getRejectedUsers()
+    };
+  }
+
+  // Counters only; the timing windows restart after a resume
+  toJSON() {
+    return {
+      rejectedTotal: this.rejectedTotal,
+      rejectedByReason: this.rejectedByReason,
+      users: Array.from(this.users.entries()).map(([username, user]) => [username, {
+        accepted: user.accepted,
+        rejected: user.rejected,
+        flagged: user.flagged
+      }])
+    };
+  }
+
+  restore(saved) {
+    this.reset();
+    if (!saved) return;
+    this.rejectedTotal = saved.rejectedTotal;
+    this.rejectedByReason = { ...emptyReasonCounts(), ...saved.rejectedByReason };
+    for (const [username, counters] of saved.users) {
+      const user = this.getUser(username);
+      user.accepted = counters.accepted;
+      user.rejected = { ...emptyReasonCounts(), ...counters.rejected };
+      user.flagged = counters.flagged;
+    }
+  }
+}
+
+module.exports = { SpamFilter, REJECTION_REASONS, FLAG_REASONS };
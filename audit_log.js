@@ -0,0 +1,37 @@
+/**
+ * audit_log.js - Append-only record of admin actions
+ *
+ * One NDJSON line per action or login attempt:
+ *   { timestamp, walletAddress, role, action, coin, result, details }
+ * where result is "ok", "denied" or "failed". Lines are only ever appended;
+ * rotate or archive the file outside the server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_RESULTS = {
+  OK: 'ok',
+  DENIED: 'denied',
+  FAILED: 'failed'
+};
+
+class AuditLog {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  }
+
+  record({ walletAddress = null, role = null, action, coin = null, result = AUDIT_RESULTS.OK, details = null }) {
+    const entry = { timestamp: new Date().toISOString(), walletAddress, role, action, coin, result, details };
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n', { encoding: 'utf8', flag: 'a' });
+    } catch (error) {
+      console.error('Error writing admin audit log:', error.message);
+    }
+    return entry;
+  }
+}
+
+module.exports = { AuditLog, AUDIT_RESULTS };
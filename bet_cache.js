@@ -0,0 +1,117 @@
+/**
+ * bet_cache.js - Per-round cache of on-chain bet accounts
+ *
+ * Loads every BetAccount of a round with one getProgramAccounts call
+ * (discriminator + round id filters) and decodes the returned buffers with
+ * the Anchor coder, instead of fetching each account again. Live totals,
+ * settlement and /api/bet-status all read from here:
+ * - a round is reloaded once its entry is older than ttlMs, or on load(..., { force: true })
+ * - concurrent loads of the same round share one RPC call
+ * - only the most recent maxRounds rounds are kept
+ */
+
+const bs58 = require('bs58');
+
+// BetAccount layout: discriminator (8) + bettor (32) + round_id (8) + ...
+const ROUND_ID_OFFSET = 40;
+
+class BetCache {
+  constructor({ program, connection, programId, betAccountDiscriminator, ttlMs = 2000, maxRounds = 20 }) {
+    this.program = program;
+    this.connection = connection;
+    this.programId = programId;
+    this.betAccountDiscriminator = betAccountDiscriminator;
+    this.ttlMs = ttlMs;
+    this.maxRounds = maxRounds;
+    this.rounds = new Map(); // roundId -> { bets: Map(bettor -> bet), loadedAt, loading, stale }
+  }
+
+  // Every bet of the round as Map(bettor address -> bet), amounts in lamports
+  async load(roundId, { force = false } = {}) {
+    let entry = this.rounds.get(roundId);
+    if (entry && entry.loading) {
+      if (!force) return entry.loading;
+      // A forced load must see the chain as it is now, not as it was when the running load began
+      await entry.loading.catch(() => {});
+      return this.load(roundId, { force: true });
+    }
+    if (entry && !force && Date.now() - entry.loadedAt < this.ttlMs) return entry.bets;
+
+    if (!entry) {
+      entry = { bets: new Map(), loadedAt: 0, loading: null, stale: false };
+      this.rounds.set(roundId, entry);
+      this.prune();
+    }
+    entry.stale = false;
+    entry.loading = this.fetchRound(roundId)
+      .then(bets => {
+        entry.bets = bets;
+        entry.loadedAt = entry.stale ? 0 : Date.now();
+        return bets;
+      })
+      .finally(() => {
+        entry.loading = null;
+      });
+    return entry.loading;
+  }
+
+  async fetchRound(roundId) {
+    const roundIdBuffer = Buffer.alloc(8);
+    roundIdBuffer.writeBigUInt64LE(BigInt(roundId));
+
+    const accounts = await this.connection.getProgramAccounts(this.programId, {
+      filters: [
+        { memcmp: { offset: 0, bytes: bs58.encode(this.betAccountDiscriminator) } },
+        { memcmp: { offset: ROUND_ID_OFFSET, bytes: bs58.encode(roundIdBuffer) } }
+      ]
+    });
+
+    const bets = new Map();
+    for (const { pubkey, account } of accounts) {
+      try {
+        const betData = this.program.coder.accounts.decode('betAccount', account.data);
+        bets.set(betData.bettor.toString(), {
+          pubkey: pubkey.toString(),
+          bettor: betData.bettor.toString(),
+          username: betData.username,
+          amount: betData.amount.toNumber(),
+          prediction: Object.keys(betData.prediction)[0],
+          timestamp: betData.timestamp.toNumber(),
+          payoutClaimed: betData.payoutClaimed
+        });
+      } catch (error) {
+        console.error(`Error decoding bet account ${pubkey.toString()}:`, error.message);
+      }
+    }
+    return bets;
+  }
+
+  // One wallet's bet in the round, or null
+  async get(roundId, bettor) {
+    const bets = await this.load(roundId);
+    return bets.get(bettor) || null;
+  }
+
+  // Makes the next read of the round go to the chain, e.g. after a new bet
+  invalidate(roundId) {
+    const entry = this.rounds.get(roundId);
+    if (!entry) return;
+    entry.loadedAt = 0;
+    // A load already in flight may have missed the change
+    if (entry.loading) entry.stale = true;
+  }
+
+  markClaimed(roundId, bettor) {
+    const entry = this.rounds.get(roundId);
+    const bet = entry && entry.bets.get(bettor);
+    if (bet) bet.payoutClaimed = true;
+  }
+
+  prune() {
+    while (this.rounds.size > this.maxRounds) {
+      this.rounds.delete(this.rounds.keys().next().value);
+    }
+  }
+}
+
+module.exports = { BetCache };
@@ -0,0 +1,159 @@
+/**
+ * bet_history.js - Local record of settled rounds and every bet in them
+ *
+ * - bet_history.ndjson: append-only log of two kinds of lines
+ *     { type: 'round', roundId, coin, boss, bossDefeated, winningPrediction, totals, bets: [...] }
+ *     { type: 'payout', roundId, bettor, state, signature }
+ *   Replayed on boot; a later line for the same round or bet wins.
+ *
+ * A round is recorded when it settles, with each bet marked won or lost and
+ * the payout it is owed; payout lines follow the payout queue. Player
+ * profiles are computed from the rounds a wallet bet in.
+ * Amounts in lamports; profile() gives SOL for clients.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { PAYOUT_STATES } = require('./payout_queue');
+
+function toSol(lamports) {
+  return lamports / LAMPORTS_PER_SOL;
+}
+
+class BetHistory {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.rounds = new Map(); // roundId -> round
+    this.playerRounds = new Map(); // wallet -> Set(roundId)
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A torn last line from a crash mid-write; everything before it is intact
+        console.warn('Skipping unreadable bet history line');
+        continue;
+      }
+      const { type, ...data } = record;
+      if (type === 'round') this.applyRound(data);
+      else if (type === 'payout') this.applyPayout(data);
+    }
+  }
+
+  append(record) {
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n', 'utf8');
+    } catch (error) {
+      // History is for players to look back on; it must never hold up a settlement
+      console.error('Error writing bet history:', error.message);
+    }
+  }
+
+  applyRound(round) {
+    this.rounds.set(round.roundId, round);
+    for (const bet of round.bets) {
+      if (!this.playerRounds.has(bet.bettor)) this.playerRounds.set(bet.bettor, new Set());
+      this.playerRounds.get(bet.bettor).add(round.roundId);
+    }
+  }
+
+  applyPayout({ roundId, bettor, state, signature }) {
+    const round = this.rounds.get(roundId);
+    const bet = round && round.bets.find(b => b.bettor === bettor);
+    if (!bet) return;
+    bet.payoutState = state;
+    if (signature) bet.payoutSignature = signature;
+  }
+
+  // round: { roundId, coin, boss, bossDefeated, winningPrediction, totalDeathBets,
+  //          totalSurvivalBets, feePercentage, fee, finalHp,
+  //          bets: [{ bettor, username, amount, prediction, won, payout, payoutState }] }
+  // Recording a round again (settlement resumed after a restart) replaces it,
+  // keeping what is already known about its payouts
+  recordRound(round) {
+    const previous = this.rounds.get(round.roundId);
+    const bets = round.bets.map(bet => {
+      const known = previous && previous.bets.find(b => b.bettor === bet.bettor);
+      return known && known.payoutState
+        ? { ...bet, payoutState: known.payoutState, payoutSignature: known.payoutSignature }
+        : { ...bet };
+    });
+    const record = { ...round, bets, settledAt: Date.now() };
+    this.applyRound(record);
+    this.append({ type: 'round', ...record });
+  }
+
+  // Follows a payout job; unchanged states are not written again
+  recordPayout({ roundId, bettor, state, signature = null }) {
+    const round = this.rounds.get(roundId);
+    const bet = round && round.bets.find(b => b.bettor === bettor);
+    if (!bet || (bet.payoutState === state && (!signature || bet.payoutSignature === signature))) return;
+    this.applyPayout({ roundId, bettor, state, signature });
+    this.append({ type: 'payout', roundId, bettor, state, signature });
+  }
+
+  // Win/loss record, totals and most recent rounds of one wallet, in SOL
+  profile(wallet, { recent = 10 } = {}) {
+    const roundIds = this.playerRounds.get(wallet) || new Set();
+    const entries = [];
+    for (const roundId of roundIds) {
+      const round = this.rounds.get(roundId);
+      const bet = round.bets.find(b => b.bettor === wallet);
+      entries.push({ round, bet, pnl: bet.won ? bet.payout - bet.amount : -bet.amount });
+    }
+    entries.sort((a, b) => b.round.settledAt - a.round.settledAt);
+
+    let wins = 0, totalWagered = 0, totalPayouts = 0, unpaid = 0, netPnl = 0, biggestWin = 0;
+    for (const { bet, pnl } of entries) {
+      totalWagered += bet.amount;
+      netPnl += pnl;
+      if (!bet.won) continue;
+      wins++;
+      totalPayouts += bet.payout;
+      if (bet.payoutState !== PAYOUT_STATES.CONFIRMED) unpaid += bet.payout;
+      biggestWin = Math.max(biggestWin, pnl);
+    }
+
+    const latest = entries[0];
+    return {
+      wallet,
+      username: latest ? latest.bet.username : null,
+      rounds: entries.length,
+      wins,
+      losses: entries.length - wins,
+      winRate: entries.length ? Math.round((wins / entries.length) * 1000) / 10 : 0,
+      totalWagered: toSol(totalWagered),
+      totalPayouts: toSol(totalPayouts),
+      unpaidPayouts: toSol(unpaid),
+      netPnl: toSol(netPnl),
+      biggestWin: toSol(biggestWin),
+      recentRounds: entries.slice(0, recent).map(({ round, bet, pnl }) => ({
+        roundId: round.roundId,
+        coin: round.coin,
+        boss: round.boss,
+        bossDefeated: round.bossDefeated,
+        settledAt: round.settledAt,
+        prediction: bet.prediction,
+        amount: toSol(bet.amount),
+        won: bet.won,
+        payout: toSol(bet.payout),
+        payoutState: bet.payoutState,
+        payoutSignature: bet.payoutSignature || null,
+        pnl: toSol(pnl)
+      }))
+    };
+  }
+}
+
+module.exports = { BetHistory };
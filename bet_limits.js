@@ -0,0 +1,86 @@
+/**
+ * bet_limits.js - Server-side limits on what a bet may be
+ *
+ * Checked before a bet transaction is prepared or relayed:
+ * - minBet / maxBet:     size of a single bet
+ * - maxPool:             both pools of a round together, 0 for no cap
+ * - maxWalletExposure:   what one wallet has at stake in all running rounds
+ *                        (every coin) including the new bet, 0 for no limit
+ * A rejected bet gets { code, error, limit } with one of BET_LIMIT_CODES.
+ * Amounts in lamports; describe() gives the limits in SOL for clients.
+ */
+
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+const BET_LIMIT_CODES = {
+  INVALID_AMOUNT: 'InvalidBetAmount',
+  TOO_SMALL: 'BetTooSmall',
+  TOO_LARGE: 'BetTooLarge',
+  POOL_CAP: 'PoolCapReached',
+  EXPOSURE: 'ExposureLimitReached'
+};
+
+function toSol(lamports) {
+  return lamports / LAMPORTS_PER_SOL;
+}
+
+class BetLimits {
+  constructor({ minBet, maxBet, maxPool = 0, maxWalletExposure = 0, presets = [] }) {
+    if (!(minBet > 0) || !(maxBet >= minBet)) {
+      throw new Error('Bet limits need 0 < minimum bet <= maximum bet');
+    }
+    if (maxPool < 0 || maxWalletExposure < 0) {
+      throw new Error('Pool cap and wallet exposure limit cannot be negative');
+    }
+    this.minBet = minBet;
+    this.maxBet = maxBet;
+    this.maxPool = maxPool;
+    this.maxWalletExposure = maxWalletExposure;
+    // Presets outside the limits would only ever be refused
+    this.presets = presets.filter(amount => amount >= minBet && amount <= maxBet);
+  }
+
+  // null when the bet is fine, otherwise why it is not
+  check({ amount, poolTotal, walletExposure }) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return { code: BET_LIMIT_CODES.INVALID_AMOUNT, error: 'Bet amount must be a positive number of SOL' };
+    }
+    if (amount < this.minBet) {
+      return { code: BET_LIMIT_CODES.TOO_SMALL, error: `Minimum bet is ${toSol(this.minBet)} SOL`, limit: toSol(this.minBet) };
+    }
+    if (amount > this.maxBet) {
+      return { code: BET_LIMIT_CODES.TOO_LARGE, error: `Maximum bet is ${toSol(this.maxBet)} SOL`, limit: toSol(this.maxBet) };
+    }
+    if (this.maxPool && poolTotal + amount > this.maxPool) {
+      const room = Math.max(0, this.maxPool - poolTotal);
+      return {
+        code: BET_LIMIT_CODES.POOL_CAP,
+        error: room >= this.minBet
+          ? `This round's pool is almost full, you can bet at most ${toSol(room)} SOL`
+          : 'This round\'s pool is full',
+        limit: toSol(room)
+      };
+    }
+    if (this.maxWalletExposure && walletExposure + amount > this.maxWalletExposure) {
+      const room = Math.max(0, this.maxWalletExposure - walletExposure);
+      return {
+        code: BET_LIMIT_CODES.EXPOSURE,
+        error: `Your wallet can have at most ${toSol(this.maxWalletExposure)} SOL in running rounds; ${toSol(room)} SOL left`,
+        limit: toSol(room)
+      };
+    }
+    return null;
+  }
+
+  describe() {
+    return {
+      minBet: toSol(this.minBet),
+      maxBet: toSol(this.maxBet),
+      maxPool: this.maxPool ? toSol(this.maxPool) : null,
+      maxWalletExposure: this.maxWalletExposure ? toSol(this.maxWalletExposure) : null,
+      presets: this.presets.map(toSol)
+    };
+  }
+}
+
+module.exports = { BetLimits, BET_LIMIT_CODES };
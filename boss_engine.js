@@ -0,0 +1,204 @@
+/**
+ * boss_engine.js - Boss definitions and their scripted behaviors
+ *
+ * Definitions live in a JSON file (BOSSES_FILE, default bosses.json):
+ *   { "default": "<id>", "bosses": [{ id, name, image, maxHp?, abilities? }] }
+ *
+ * Abilities (all optional, times in seconds from the start of the fight):
+ * - shields:      [{ at, duration }] windows in which damage is ignored
+ * - regen:        { perSecond } passive healing while the boss is alive
+ * - enrage:       { belowPercent, damageMultiplier, healMultiplier } once HP
+ *                 drops below the threshold, damage and heals are scaled
+ * - healImmunity: { lastSeconds } the boss cannot gain HP at the end of the fight
+ *
+ * BossFight does not own the HP. server.js keeps bossHP as the single source
+ * of truth (it is what end_fight receives) and asks the fight how to change it.
+ */
+
+const fs = require('fs');
+
+const BOSS_ABILITIES = {
+  SHIELD: 'shield',
+  REGEN: 'regen',
+  ENRAGE: 'enrage',
+  HEAL_IMMUNITY: 'heal_immunity'
+};
+
+function positiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function validateBoss(raw, index) {
+  const label = raw && raw.id ? `Boss "${raw.id}"` : `Boss #${index + 1}`;
+  if (!raw || typeof raw.id !== 'string' || !raw.id) throw new Error(`${label}: id is required`);
+  if (typeof raw.name !== 'string' || !raw.name) throw new Error(`${label}: name is required`);
+  if (typeof raw.image !== 'string' || !raw.image) throw new Error(`${label}: image is required`);
+  if (raw.maxHp !== undefined && (!Number.isInteger(raw.maxHp) || raw.maxHp < 1)) {
+    throw new Error(`${label}: maxHp must be a positive whole number`);
+  }
+
+  const abilities = raw.abilities || {};
+  for (const window of abilities.shields || []) {
+    if (typeof window.at !== 'number' || window.at < 0 || !positiveNumber(window.duration)) {
+      throw new Error(`${label}: every shield needs "at" (>= 0) and a positive "duration"`);
+    }
+  }
+  if (abilities.regen && !positiveNumber(abilities.regen.perSecond)) {
+    throw new Error(`${label}: regen.perSecond must be positive`);
+  }
+  if (abilities.enrage) {
+    const { belowPercent, damageMultiplier = 1, healMultiplier = 1 } = abilities.enrage;
+    if (!(belowPercent > 0 && belowPercent < 100)) {
+      throw new Error(`${label}: enrage.belowPercent must be between 0 and 100`);
+    }
+    if (!positiveNumber(damageMultiplier) || !positiveNumber(healMultiplier)) {
+      throw new Error(`${label}: enrage multipliers must be positive`);
+    }
+  }
+  if (abilities.healImmunity && !positiveNumber(abilities.healImmunity.lastSeconds)) {
+    throw new Error(`${label}: healImmunity.lastSeconds must be positive`);
+  }
+
+  return {
+    id: raw.id,
+    name: raw.name,
+    image: raw.image,
+    maxHp: raw.maxHp || null,
+    abilities: {
+      shields: abilities.shields || [],
+      regen: abilities.regen || null,
+      enrage: abilities.enrage
+        ? { damageMultiplier: 1, healMultiplier: 1, ...abilities.enrage }
+        : null,
+      healImmunity: abilities.healImmunity || null
+    }
+  };
+}
+
+function loadBossDefinitions(filePath) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(config.bosses) || !config.bosses.length) {
+    throw new Error('Boss file must have a non-empty "bosses" array');
+  }
+
+  const bosses = new Map();
+  config.bosses.forEach((raw, index) => {
+    const boss = validateBoss(raw, index);
+    if (bosses.has(boss.id)) throw new Error(`Duplicate boss id "${boss.id}"`);
+    bosses.set(boss.id, boss);
+  });
+
+  const defaultId = config.default || config.bosses[0].id;
+  if (!bosses.has(defaultId)) throw new Error(`Default boss "${defaultId}" is not defined`);
+  return { bosses, defaultId };
+}
+
+// Scales a damage or heal amount, never rounding a real hit down to nothing
+function scale(delta, multiplier) {
+  if (multiplier === 1) return delta;
+  return Math.sign(delta) * Math.max(1, Math.round(Math.abs(delta) * multiplier));
+}
+
+class BossFight {
+  constructor(definition, { fightStart, fightEnd, maxHp }) {
+    this.definition = definition;
+    this.abilities = definition.abilities;
+    this.fightStart = fightStart;
+    this.fightEnd = fightEnd;
+    this.maxHp = maxHp;
+
+    this.shieldActive = false;
+    this.healImmune = false;
+    this.enraged = false;
+    this.regenCarry = 0;
+    this.lastTick = fightStart;
+  }
+
+  // The shield window active at `time`, if any
+  activeShield(time) {
+    const elapsed = (time - this.fightStart) / 1000;
+    return this.abilities.shields.find(window => elapsed >= window.at && elapsed < window.at + window.duration) || null;
+  }
+
+  isHealImmune(time) {
+    const immunity = this.abilities.healImmunity;
+    return Boolean(immunity) && time >= this.fightEnd - immunity.lastSeconds * 1000;
+  }
+
+  // The ability that stops every hit (damage) or heal right now, or null
+  blockedBy(damage, time) {
+    if (damage && this.activeShield(time)) return BOSS_ABILITIES.SHIELD;
+    if (!damage && this.isHealImmune(time)) return BOSS_ABILITIES.HEAL_IMMUNITY;
+    return null;
+  }
+
+  // Returns { delta } with the boss's modifiers applied, or { delta: 0, blocked }
+  // when an ability stops the hit or heal completely
+  modifyDelta(delta, time) {
+    const blocked = delta !== 0 ? this.blockedBy(delta < 0, time) : null;
+    if (blocked) return { delta: 0, blocked };
+    if (this.enraged) {
+      const { damageMultiplier, healMultiplier } = this.abilities.enrage;
+      return { delta: scale(delta, delta < 0 ? damageMultiplier : healMultiplier), blocked: null };
+    }
+    return { delta, blocked: null };
+  }
+
+  // Call after every HP change; returns the ability events it triggered
+  afterHpChange(hp) {
+    const enrage = this.abilities.enrage;
+    if (!enrage || this.enraged || hp <= 0) return [];
+    if (hp > this.maxHp * enrage.belowPercent / 100) return [];
+
+    this.enraged = true;
+    return [{
+      ability: BOSS_ABILITIES.ENRAGE,
+      event: 'start',
+      damageMultiplier: enrage.damageMultiplier,
+      healMultiplier: enrage.healMultiplier
+    }];
+  }
+
+  // Advances the timed abilities. Returns { regen, events } where regen is
+  // the whole HP to add now.
+  tick(hp, now) {
+    const events = [];
+
+    const shield = this.activeShield(now);
+    if (Boolean(shield) !== this.shieldActive) {
+      this.shieldActive = Boolean(shield);
+      events.push(shield
+        ? { ability: BOSS_ABILITIES.SHIELD, event: 'start', endsAt: this.fightStart + (shield.at + shield.duration) * 1000 }
+        : { ability: BOSS_ABILITIES.SHIELD, event: 'end' });
+    }
+
+    const healImmune = this.isHealImmune(now);
+    if (healImmune && !this.healImmune) {
+      this.healImmune = true;
+      events.push({ ability: BOSS_ABILITIES.HEAL_IMMUNITY, event: 'start', endsAt: this.fightEnd });
+    }
+
+    let regen = 0;
+    const elapsed = Math.max(0, now - this.lastTick);
+    this.lastTick = now;
+    if (this.abilities.regen && hp > 0 && hp < this.maxHp && !healImmune) {
+      this.regenCarry += this.abilities.regen.perSecond * elapsed / 1000;
+      regen = Math.min(Math.floor(this.regenCarry), this.maxHp - hp);
+      this.regenCarry -= Math.floor(this.regenCarry);
+    } else {
+      this.regenCarry = 0;
+    }
+
+    return { regen, events };
+  }
+
+  getStatus() {
+    return {
+      shielded: this.shieldActive,
+      enraged: this.enraged,
+      healImmune: this.healImmune
+    };
+  }
+}
+
+module.exports = { BOSS_ABILITIES, BossFight, loadBossDefinitions };
@@ -1,65 +1,49 @@
-const { PumpChatClient } = require('pump-chat-client');
-
-// 2. Adjust these for the desired load
-const NUM_CONNECTIONS = 50; // How many concurrent users to simulate
-const MESSAGES_PER_SECOND = 5; // How often *each* user sends a message
-const COIN_ADDRESS = process.env.COIN_ADDRESS || '';
-
-// The message format your server expects to process a hit
-const TEST_MESSAGES = [
-    // Simulate a hit message format for 'user1'
-    JSON.stringify({
-        type: 'message',
-        data: {
-            user: { username: 'user1' },
-            text: 'HIT'
-        }
-    }),
-    // Simulate a hit message format for 'user2'
-    JSON.stringify({
-        type: 'message',
-        data: {
-            user: { username: 'user2' },
-            text: 'HIT'
-        }
-    }),
-];
-
-function createConnection(id) {
-    pumpSocket = new PumpChatClient({
-        roomId: COIN_ADDRESS
-      });
-
-    pumpSocket.on('open', () => {
-        console.log(`Connection ${id} opened.`);
-        
-        // Start sending messages on an interval
-        setInterval(() => {
-            const message = TEST_MESSAGES[Math.floor(Math.random() * TEST_MESSAGES.length)];
-            try {
-                pumpSocket.send(message);
-                // Console log this only for low loads, as it can be a bottleneck itself
-                // console.log(`Connection ${id} sent message.`);
-            } catch (e) {
-                console.error(`Error sending message on ${id}:`, e.message);
-            }
-        }, 1000 / MESSAGES_PER_SECOND);
-    });
-
-    pumpSocket.on('error', (err) => {
-        console.error(`Connection ${id} error:`, err.message);
-    });
+// chat_load_test.js
+// A fake chat to flood the server with: a WebSocket server that the
+// `websocket` chat source (chat_sources.js) connects to. Every simulated user
+// sends HIT about MESSAGES_PER_SECOND times a second, with some jitter so the
+// anti-spam bot detection does not flag them. Start it, then the server with
+//   CHAT_SOURCE=websocket CHAT_WS_URL=ws://localhost:8080 npm start
+// and start a round; pair it with overlay_load_test.js to measure the fan-out.
+const WebSocket = require('ws');
+
+const PORT = process.env.PORT ? Number(process.env.PORT) : 8080;
+const NUM_USERS = process.env.NUM_USERS ? Number(process.env.NUM_USERS) : 200; // concurrent chatters
+const MESSAGES_PER_SECOND = process.env.MESSAGES_PER_SECOND ? Number(process.env.MESSAGES_PER_SECOND) : 1; // per user
+const HIT_MESSAGES = ['HIT', 'hit'];
+
+const wss = new WebSocket.Server({ port: PORT });
+let sent = 0;
+
+wss.on('connection', () => {
+    console.log(`Chat source connected (${wss.clients.size} total).`);
+});
+
+function broadcast(frame) {
+    for (const client of wss.clients) {
+        if (client.readyState === WebSocket.OPEN) client.send(frame);
+    }
+}
 
-    pumpSocket.on('close', () => {
-        console.log(`Connection ${id} closed. Reconnecting...`);
-        // Simple reconnect logic for continuous stress
-        setTimeout(() => createConnection(id), 5000);
-    });
+function scheduleUser(id) {
+    const interval = 1000 / MESSAGES_PER_SECOND;
+    // ±25% jitter, real chatters are never perfectly regular
+    const delay = interval * (0.75 + Math.random() * 0.5);
+
+    setTimeout(() => {
+        const message = HIT_MESSAGES[Math.floor(Math.random() * HIT_MESSAGES.length)];
+        broadcast(JSON.stringify({ username: `user_${id}`, message, timestamp: Date.now() }));
+        sent++;
+        scheduleUser(id);
+    }, delay);
 }
 
-// Start all connections
-for (let i = 1; i <= NUM_CONNECTIONS; i++) {
-    createConnection(i);
+for (let i = 1; i <= NUM_USERS; i++) {
+    scheduleUser(i);
 }
 
-console.log(`Starting load test with ${NUM_CONNECTIONS} connections, sending ~${NUM_CONNECTIONS * MESSAGES_PER_SECOND} messages/second...`);
\ No newline at end of file
+setInterval(() => {
+    console.log(`Sent ${sent} messages (~${NUM_USERS * MESSAGES_PER_SECOND}/s) to ${wss.clients.size} chat sources`);
+}, 5000);
+
+console.log(`Fake chat on ws://localhost:${PORT}: ${NUM_USERS} users, ~${NUM_USERS * MESSAGES_PER_SECOND} messages/second...`);
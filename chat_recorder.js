@@ -0,0 +1,69 @@
+/**
+ * chat_recorder.js - Records the chat of each round to NDJSON
+ *
+ * One file per round: chat_<coin>_<roundId>.ndjson
+ * - message lines: { username, message, timestamp }
+ * - marker lines:  { event, timestamp, ...data } (e.g. fight_start, regen, fight_end)
+ *
+ * The replay chat source reads these files back and uses the fight_start
+ * marker (fight start, crit seed, round parameters) to line the recorded
+ * messages up with a new fight.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class ChatRecorder {
+  constructor({ dir, coinAddress = '' }) {
+    this.dir = dir;
+    this.coinAddress = coinAddress;
+    this.stream = null;
+    this.filePath = null;
+    this.roundId = null;
+
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  isRecording() {
+    return this.stream !== null;
+  }
+
+  start(roundId) {
+    this.stop();
+    this.roundId = roundId;
+    this.filePath = path.join(this.dir, `chat_${this.coinAddress}_${roundId}.ndjson`);
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      console.error('Chat recording error:', error.message);
+    });
+    this.mark('round_start', { roundId });
+    console.log('Recording chat to:', this.filePath);
+    return this.filePath;
+  }
+
+  record({ username, message, timestamp }) {
+    if (!this.stream) return;
+    this.write({ username, message, timestamp });
+  }
+
+  mark(event, data = {}) {
+    if (!this.stream) return;
+    this.write({ event, timestamp: Date.now(), ...data });
+  }
+
+  write(entry) {
+    this.stream.write(JSON.stringify(entry) + '\n');
+  }
+
+  stop() {
+    if (!this.stream) return null;
+    const filePath = this.filePath;
+    this.stream.end();
+    this.stream = null;
+    this.filePath = null;
+    this.roundId = null;
+    return filePath;
+  }
+}
+
+module.exports = { ChatRecorder };
@@ -0,0 +1,388 @@
+/**
+ * chat_sources.js - Pluggable chat feeds for the boss fight
+ *
+ * Every source is an EventEmitter that reports the same events, so server.js
+ * does not care where chat comes from:
+ * - 'connected'
+ * - 'disconnected' (reason)
+ * - 'error' (error)
+ * - 'message' ({ username, message, timestamp }) - timestamp in ms
+ *
+ * Available sources (picked with CHAT_SOURCE):
+ * - pumpfun:   pump.fun token chat via pump-chat-client (default)
+ * - websocket: a local WebSocket feed sending JSON messages
+ * - file:      plays back a JSON / NDJSON file of messages at a fixed interval
+ * - replay:    plays back a chat recording with its original timing, started
+ *              by server.js when the fight begins (see chat_recorder.js)
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const WebSocket = require('ws');
+const { PumpChatClient } = require('pump-chat-client');
+
+const CHAT_SOURCE_TYPES = {
+  PUMPFUN: 'pumpfun',
+  WEBSOCKET: 'websocket',
+  FILE: 'file',
+  REPLAY: 'replay'
+};
+
+const REPLAY_SPEED_INSTANT = 'instant';
+
+// Accepts both our own { username, message, timestamp } shape and the
+// { type: 'message', data: { user: { username }, text } } shape used by the load scripts
+function normalizeMessage(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const data = raw.type === 'message' && raw.data ? raw.data : raw;
+
+  const username = data.username || data.user?.username || data.user;
+  const message = data.message ?? data.text ?? data.msg;
+  if (typeof username !== 'string' || typeof message !== 'string') return null;
+
+  const timestamp = data.timestamp ? new Date(data.timestamp).getTime() : Date.now();
+  return {
+    username,
+    message,
+    timestamp: Number.isFinite(timestamp) ? timestamp : Date.now()
+  };
+}
+
+// Either a JSON array or one JSON object per line (NDJSON). Entries that are
+// not objects (null, numbers, strings) are skipped
+function loadMessageFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8').trim();
+  if (!content) return [];
+  const entries = content.startsWith('[')
+    ? JSON.parse(content)
+    : content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  return entries.filter(entry => entry !== null && typeof entry === 'object' && !Array.isArray(entry));
+}
+
+class ChatSource extends EventEmitter {
+  constructor(type) {
+    super();
+    this.type = type;
+    this.connected = false;
+    // Whether server.js should try again after a 'disconnected'
+    this.reconnectable = true;
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  describe() {
+    return this.type;
+  }
+
+  markConnected() {
+    this.connected = true;
+    this.emit('connected');
+  }
+
+  markDisconnected(reason) {
+    const wasConnected = this.connected;
+    this.connected = false;
+    if (wasConnected || reason) this.emit('disconnected', reason);
+  }
+
+  emitMessage(raw) {
+    const normalized = normalizeMessage(raw);
+    if (normalized) this.emit('message', normalized);
+  }
+}
+
+class PumpFunChatSource extends ChatSource {
+  constructor({ coinAddress }) {
+    super(CHAT_SOURCE_TYPES.PUMPFUN);
+    if (!coinAddress) throw new Error('pumpfun chat source requires COIN_ADDRESS');
+    this.coinAddress = coinAddress;
+    this.client = null;
+  }
+
+  describe() {
+    return `pump.fun chat for ${this.coinAddress}`;
+  }
+
+  connect() {
+    this.client = new PumpChatClient({ roomId: this.coinAddress });
+
+    this.client.on('connected', () => this.markConnected());
+    this.client.on('message', (messageData) => {
+      this.emitMessage({
+        username: messageData.username,
+        message: messageData.message,
+        timestamp: messageData.timestamp
+      });
+    });
+    this.client.on('error', (error) => {
+      this.connected = false;
+      this.emit('error', error);
+    });
+    this.client.on('disconnected', (reason) => this.markDisconnected(reason || 'closed'));
+
+    this.client.connect();
+  }
+
+  disconnect() {
+    if (!this.client) return;
+    const client = this.client;
+    this.client = null;
+    client.removeAllListeners();
+    try {
+      client.disconnect();
+    } catch (e) {
+      // Ignore errors on disconnect
+    }
+    this.connected = false;
+  }
+}
+
+class WebSocketChatSource extends ChatSource {
+  constructor({ url }) {
+    super(CHAT_SOURCE_TYPES.WEBSOCKET);
+    if (!url) throw new Error('websocket chat source requires CHAT_WS_URL');
+    this.url = url;
+    this.socket = null;
+  }
+
+  describe() {
+    return `WebSocket feed ${this.url}`;
+  }
+
+  connect() {
+    this.socket = new WebSocket(this.url);
+
+    this.socket.on('open', () => this.markConnected());
+    this.socket.on('message', (raw) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(raw.toString());
+      } catch (e) {
+        this.emit('error', new Error(`Invalid JSON from chat feed: ${e.message}`));
+        return;
+      }
+      // A feed may batch several messages into one frame
+      for (const item of Array.isArray(parsed) ? parsed : [parsed]) {
+        this.emitMessage(item);
+      }
+    });
+    this.socket.on('error', (error) => {
+      this.connected = false;
+      this.emit('error', error);
+    });
+    this.socket.on('close', (code) => this.markDisconnected(`closed (${code})`));
+  }
+
+  disconnect() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    this.socket = null;
+    socket.removeAllListeners();
+    socket.on('error', () => {});
+    try {
+      socket.close();
+    } catch (e) {
+      // Ignore errors on disconnect
+    }
+    this.connected = false;
+  }
+}
+
+class FileChatSource extends ChatSource {
+  constructor({ filePath, intervalMs = 250, loop = false }) {
+    super(CHAT_SOURCE_TYPES.FILE);
+    if (!filePath) throw new Error('file chat source requires CHAT_REPLAY_FILE');
+    this.filePath = filePath;
+    this.intervalMs = intervalMs;
+    this.loop = loop;
+    this.reconnectable = false;
+    this.timer = null;
+    this.messages = [];
+    this.position = 0;
+  }
+
+  describe() {
+    return `file ${this.filePath}`;
+  }
+
+  connect() {
+    try {
+      this.messages = loadMessageFile(this.filePath);
+    } catch (error) {
+      this.emit('error', error);
+      return;
+    }
+    this.position = 0;
+    this.markConnected();
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+  }
+
+  tick() {
+    if (this.position >= this.messages.length) {
+      if (this.loop && this.messages.length) {
+        this.position = 0;
+      } else {
+        this.stop();
+        this.markDisconnected('replay finished');
+        return;
+      }
+    }
+    // Re-stamp with the current time so the fight sees them as live
+    const raw = this.messages[this.position++];
+    this.emitMessage({ ...(raw.type === 'message' && raw.data ? raw.data : raw), timestamp: Date.now() });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  disconnect() {
+    this.stop();
+    this.connected = false;
+  }
+}
+
+class ReplayChatSource extends ChatSource {
+  constructor({ filePath, speed = 1 }) {
+    super(CHAT_SOURCE_TYPES.REPLAY);
+    if (!filePath) throw new Error('replay chat source requires CHAT_REPLAY_FILE');
+    if (speed !== REPLAY_SPEED_INSTANT && !(Number(speed) > 0)) {
+      throw new Error(`Invalid replay speed "${speed}". Use a positive number or "${REPLAY_SPEED_INSTANT}"`);
+    }
+    this.filePath = filePath;
+    this.speed = speed === REPLAY_SPEED_INSTANT ? speed : Number(speed);
+    this.reconnectable = false;
+    this.timer = null;
+    this.queue = [];
+    this.position = 0;
+    this.startedAt = null;
+    this.recordedSeed = null; // crit seed of the recorded fight
+    this.replaysRegen = false; // the recording has the boss's regen, see connect()
+  }
+
+  describe() {
+    return `replay of ${this.filePath} at ${this.speed === REPLAY_SPEED_INSTANT ? 'instant' : `${this.speed}x`} speed`;
+  }
+
+  connect() {
+    let entries;
+    try {
+      entries = loadMessageFile(this.filePath);
+    } catch (error) {
+      this.emit('error', error);
+      return;
+    }
+
+    // Offsets are measured from the recorded fight start, or from the first
+    // message when the recording has no marker (hand-written files)
+    const fightStart = entries.find(entry => entry.event === 'fight_start');
+    const messages = entries.map(normalizeMessage).filter(Boolean);
+    const anchor = fightStart
+      ? (fightStart.fightStart || fightStart.timestamp)
+      : (messages[0] ? messages[0].timestamp : 0);
+
+    // Recordings with a crit seed also log each regen of the boss, in the
+    // order it happened between the messages; those are replayed as they were
+    this.recordedSeed = fightStart && fightStart.seed !== undefined ? fightStart.seed : null;
+    this.replaysRegen = this.recordedSeed !== null;
+    const items = entries
+      .map(entry => {
+        if (entry.event === 'regen' && this.replaysRegen) {
+          return { regen: entry.amount, offset: entry.timestamp - anchor };
+        }
+        const message = normalizeMessage(entry);
+        return message ? { ...message, offset: message.timestamp - anchor } : null;
+      })
+      .filter(item => item && item.offset >= 0);
+
+    // A recording is kept in the order the game handled it; hand-written
+    // files are sorted by time
+    this.queue = fightStart ? items : items.sort((a, b) => a.offset - b.offset);
+    this.position = 0;
+
+    console.log(`Loaded ${this.queue.filter(item => !item.regen).length} fight messages for replay`);
+    this.markConnected();
+  }
+
+  // Called by game.js when the fight phase begins, with the new fight's start.
+  // Timestamps keep their original offset from it so per-user timing, shields
+  // and crit rolls are reproduced exactly, whatever the playback speed.
+  startPlayback(fightStart = Date.now()) {
+    this.stop();
+    this.position = 0;
+    this.startedAt = fightStart;
+
+    if (this.speed === REPLAY_SPEED_INSTANT) {
+      while (this.position < this.queue.length) this.emitNext();
+      this.finish();
+      return;
+    }
+    this.scheduleNext();
+  }
+
+  emitNext() {
+    const { username, message, regen, offset } = this.queue[this.position++];
+    if (regen) {
+      this.emit('regen', { amount: regen, timestamp: this.startedAt + offset });
+      return;
+    }
+    this.emit('message', { username, message, timestamp: this.startedAt + offset });
+  }
+
+  scheduleNext() {
+    if (this.position >= this.queue.length) {
+      this.finish();
+      return;
+    }
+    const dueAt = this.startedAt + this.queue[this.position].offset / this.speed;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.emitNext();
+      this.scheduleNext();
+    }, Math.max(0, dueAt - Date.now()));
+  }
+
+  finish() {
+    this.stop();
+    this.markDisconnected('replay finished');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  disconnect() {
+    this.stop();
+    this.connected = false;
+  }
+}
+
+function createChatSource(type, options = {}) {
+  switch (type) {
+    case CHAT_SOURCE_TYPES.PUMPFUN:
+      return new PumpFunChatSource(options);
+    case CHAT_SOURCE_TYPES.WEBSOCKET:
+      return new WebSocketChatSource(options);
+    case CHAT_SOURCE_TYPES.FILE:
+      return new FileChatSource(options);
+    case CHAT_SOURCE_TYPES.REPLAY:
+      return new ReplayChatSource(options);
+    default:
+      throw new Error(`Unknown chat source "${type}". Use one of: ${Object.values(CHAT_SOURCE_TYPES).join(', ')}`);
+  }
+}
+
+module.exports = {
+  CHAT_SOURCE_TYPES,
+  REPLAY_SPEED_INSTANT,
+  createChatSource,
+  normalizeMessage
+};
@@ -0,0 +1,1540 @@
+/**
+ * game.js - One boss fight game for one coin
+ *
+ * createGame() holds everything a single coin needs: its chat source and
+ * recording, phase timers, the BettingRound and escrow PDAs of its current
+ * round, the round journal, scheduler, anti-spam and keyword rules, and its
+ * exports. Every event it broadcasts goes to the coin's Socket.IO room
+ * (`coin:<address>`), so one server can run fights for several coins at once.
+ *
+ * The Solana program, the authority, the payout queue and the boss
+ * definitions are shared by all games and passed in by server.js.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { formatISO } = require('date-fns');
+const { PublicKey, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { BN } = require('@coral-xyz/anchor');
+const { CHAT_SOURCE_TYPES, createChatSource } = require('./chat_sources');
+const { ChatRecorder } = require('./chat_recorder');
+const { RoundJournal } = require('./round_journal');
+const { RoundExporter } = require('./round_export');
+const { RoundScheduler } = require('./round_scheduler');
+const { SpamFilter } = require('./anti_spam');
+const { KeywordRules, RULE_TYPES, seededRandom } = require('./keyword_rules');
+const { BossFight } = require('./boss_engine');
+const { PAYOUT_STATES } = require('./payout_queue');
+const { REFERENCE_BET_LAMPORTS, calculateOdds } = require('./odds');
+
+// Game phases
+const GAME_PHASES = {
+  IDLE: 'idle',
+  BETTING: 'betting',
+  FIGHTING: 'fighting',
+  ENDED: 'ended'
+};
+
+// Reads of a journaled round's BettingRound account, 5s apart, before the
+// resume is put off; it is tried again later, backing off up to RESUME_RETRY_MAX_MS
+const RESUME_FETCH_ATTEMPTS = 5;
+const RESUME_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Confirmed or given up on; either way nothing more will be sent for it
+function isPayoutSettled(job) {
+  return job.state === PAYOUT_STATES.CONFIRMED || job.state === PAYOUT_STATES.FAILED;
+}
+
+function roomFor(coinAddress) {
+  return `coin:${coinAddress || 'default'}`;
+}
+
+function createGame({
+  coinAddress,
+  io,
+  stateDir,
+  config,
+  program,
+  connection,
+  programId,
+  authorityKeypair,
+  treasuryPubkey,
+  bossDefinitions,
+  defaultBossId,
+  buildRoundParams,
+  nextRoundId,
+  getBettingRoundPDA,
+  getEscrowPDA,
+  betCache,
+  payoutQueue,
+  betHistory,
+  roundArchive,
+  leaderboards,
+  themes
+}) {
+  const {
+    EXPORT_DIR,
+    PROGRAM_ID_STR,
+    CHAT_SOURCE,
+    CHAT_WS_URL,
+    CHAT_REPLAY_FILE,
+    CHAT_REPLAY_INTERVAL_MS,
+    CHAT_REPLAY_SPEED,
+    CHAT_RECORDING,
+    CHAT_RECORDINGS_DIR,
+    KEYWORD_RULES_FILE,
+    TRIGGER_KEYWORDS,
+    HEAL_KEYWORDS,
+    ANTI_SPAM,
+    SPAM_COOLDOWN_MS,
+    SPAM_MAX_HITS_PER_SECOND,
+    SPAM_DUPLICATE_WINDOW_MS,
+    BOT_SAMPLE_SIZE,
+    BOT_MIN_INTERVAL_MS,
+    BOT_MIN_JITTER_MS,
+    AUTO_ROUNDS,
+    ROUND_COOLDOWN_SECONDS,
+    OPERATING_HOURS,
+    MAX_ROUNDS_PER_DAY,
+    BROADCAST_TICK_MS
+  } = config;
+  const room = roomFor(coinAddress);
+  const adminRoom = `${room}:admins`;
+  const roundJournal = new RoundJournal({ dir: stateDir });
+  const roundExporter = new RoundExporter({ dir: EXPORT_DIR });
+  let broadcastTimer = null;
+  let fightEndingInProgress = false;
+  let fightEndCalled = false;
+
+  // In-memory state
+  let gamePhase = GAME_PHASES.IDLE;
+  let currentRoundId = 0;
+  let roundParams = buildRoundParams().params; // boss, durations, HP and fee of the current round
+  let bossHP = roundParams.initialHp;
+  let bossFight = null; // scripted boss behaviors while fighting
+  let fightSeed = null; // seeds the fight's crit rolls; recorded so a replay rolls the same
+  let userHits = new Map(); // username -> hits
+  let chronological = []; // {username, msg, timestamp, delta}
+  let roundEvents = []; // {timestamp, type, ...} phases, bets and the fee claim, for the export
+  let feeClaim = null; // {amount, signature} of claim_fees, signature null if it failed
+  const deferredFeeClaims = new Map(); // roundId -> { amount, bettingRound, escrow } waiting for its payouts
+  let lastHitter = null;
+  let totalHits = 0;
+  let chatSource = null;
+
+  // Broadcast ticks: hits are batched and sent with the HP once per tick
+  let broadcastSeq = 0;
+  let pendingHits = []; // compact hits since the last tick
+  let stateDirty = false; // HP or scores changed since the last tick
+  let sentTop = null; // top 3 as last broadcast (JSON), only resent when it changes
+  let sentLastHitter = null;
+  let sentTimer = null; // `${phase}:${endsAt}` as last broadcast
+  const chatRecorder = CHAT_RECORDING ? new ChatRecorder({ dir: CHAT_RECORDINGS_DIR, coinAddress }) : null;
+  let keywordRules;
+  try {
+    keywordRules = new KeywordRules({
+      filePath: KEYWORD_RULES_FILE,
+      triggerKeywords: TRIGGER_KEYWORDS,
+      healKeywords: HEAL_KEYWORDS
+    });
+  } catch (error) {
+    throw new Error(`Invalid keyword rules: ${error.message}`);
+  }
+  keywordRules.on('reloaded', (rules) => io.to(room).emit('rules_updated', rules));
+  themes.on('activated', ({ coin }) => {
+    if (coin !== coinAddress) return;
+    io.to(room).emit('theme_update', { theme: themes.forCoin(coinAddress), boss: getBossInfo() });
+  });
+  // Reload problems are logged by KeywordRules; the old rules stay in force
+  keywordRules.on('error', () => {});
+  payoutQueue.on('updated', (job) => {
+    if (job.coin !== coinAddress) return;
+    if (job.state === PAYOUT_STATES.CONFIRMED) betCache.markClaimed(job.roundId, job.bettor);
+    // 'sent' is only ever a moment on the way to one of the others
+    if (job.state !== PAYOUT_STATES.SENT) {
+      betHistory.recordPayout({ roundId: job.roundId, bettor: job.bettor, state: job.state, signature: job.signature });
+    }
+    refreshExportedPayouts(job);
+    io.to(room).emit('payout_update', formatPayout(job));
+  });
+  // Only the export shows what the program reported as sent
+  payoutQueue.on('paid', (job) => {
+    if (job.coin !== coinAddress) return;
+    refreshExportedPayouts(job);
+  });
+
+  // A round exported with payouts still retrying gets its payouts CSV
+  // rewritten once they have all settled one way or the other, after the fee
+  // claim that waited for them
+  function refreshExportedPayouts(job) {
+    if (!isPayoutSettled(job) || !payoutQueue.list({ roundId: job.roundId }).every(isPayoutSettled)) return;
+    claimDeferredFees(job.roundId)
+      .then(fee => roundExporter.updatePayouts(job.roundId, () => payoutQueue.list({ roundId: job.roundId }), fee))
+      .catch(error => console.error('Error updating exported payouts:', error.message));
+  }
+  const spamFilter = ANTI_SPAM ? new SpamFilter({
+    cooldownMs: SPAM_COOLDOWN_MS,
+    maxHitsPerSecond: SPAM_MAX_HITS_PER_SECOND,
+    duplicateWindowMs: SPAM_DUPLICATE_WINDOW_MS,
+    botSampleSize: BOT_SAMPLE_SIZE,
+    botMinIntervalMs: BOT_MIN_INTERVAL_MS,
+    botMinJitterMs: BOT_MIN_JITTER_MS
+  }) : null;
+  let reconnectAttempts = 0;
+  const maxReconnectAttempts = 10;
+  const reconnectInterval = 5000;
+  let resumeTimer = null; // set while a saved round waits to be read again
+  let resumeRetries = 0;
+
+  // Game timing
+  let bettingEndTime = null;
+  let fightEndTime = null;
+  let gameTimer = null;
+
+  // Blockchain state
+  let bettingRoundPDA = null;
+  let escrowPDA = null;
+  let onChainBets = new Map(); // walletAddress -> bet info
+  const reservedBets = new Map(); // walletAddress -> lamports of bets still being relayed
+  let totalDeathBets = 0;
+  let totalSurvivalBets = 0;
+  let isConnecting = false;
+  let isConnected = false;
+
+  let roundScheduler = null;
+  if (AUTO_ROUNDS) {
+    try {
+      roundScheduler = new RoundScheduler({
+        cooldownMs: ROUND_COOLDOWN_SECONDS * 1000,
+        operatingHours: OPERATING_HOURS,
+        maxRoundsPerDay: MAX_ROUNDS_PER_DAY,
+        stateFile: path.join(stateDir, 'scheduler.json'),
+        startRound: startBettingPhase,
+        canStart: () => !resumeTimer && (gamePhase === GAME_PHASES.IDLE || gamePhase === GAME_PHASES.ENDED)
+      });
+      roundScheduler.on('status', (status) => io.to(room).emit('next_round', status));
+    } catch (error) {
+      throw new Error(`Invalid round scheduler configuration: ${error.message}`);
+    }
+  }
+
+  function getChatSourceOptions() {
+    switch (CHAT_SOURCE) {
+      case CHAT_SOURCE_TYPES.WEBSOCKET:
+        return { url: CHAT_WS_URL };
+      case CHAT_SOURCE_TYPES.FILE:
+        return { filePath: CHAT_REPLAY_FILE, intervalMs: CHAT_REPLAY_INTERVAL_MS };
+      case CHAT_SOURCE_TYPES.REPLAY:
+        return { filePath: CHAT_REPLAY_FILE, speed: CHAT_REPLAY_SPEED };
+      default:
+        return { coinAddress };
+    }
+  }
+
+  function connectChatSource() {
+    if (CHAT_SOURCE === CHAT_SOURCE_TYPES.PUMPFUN && !coinAddress) {
+      console.warn('No COIN_ADDRESS configured. Set COIN_ADDRESSES or COIN_ADDRESS to monitor a specific coin.');
+      return;
+    }
+
+    // Prevent multiple simultaneous connections
+    if (isConnecting || isConnected) {
+      console.log('Already connected or connecting to chat source');
+      return;
+    }
+
+    // Close existing connection if any
+    if (chatSource) {
+      chatSource.removeAllListeners();
+      chatSource.disconnect();
+      chatSource = null;
+    }
+
+    try {
+      chatSource = createChatSource(CHAT_SOURCE, getChatSourceOptions());
+    } catch (error) {
+      console.error('Error creating chat source:', error.message);
+      return;
+    }
+
+    isConnecting = true;
+    console.log(`Connecting to ${chatSource.describe()}`);
+
+    chatSource.on('connected', () => {
+      console.log(`Successfully connected to ${chatSource.describe()}!`);
+      reconnectAttempts = 0;
+      isConnecting = false;
+      isConnected = true;
+      broadcastConnectionStatus(true);
+    });
+
+    chatSource.on('message', ({ username, message, timestamp }) => {
+      console.log(`<${username}> ${message}`);
+      if (chatRecorder) chatRecorder.record({ username, message, timestamp });
+      if (gamePhase === GAME_PHASES.FIGHTING) {
+        handleChatMessage(username, message, timestamp);
+      }
+    });
+
+    // A replayed recording brings the boss's regen along, in the order it happened
+    chatSource.on('regen', ({ amount, timestamp }) => {
+      if (gamePhase !== GAME_PHASES.FIGHTING || !bossFight || bossHP <= 0 || fightEndingInProgress || fightEndCalled) return;
+      applyRegen(amount, timestamp);
+    });
+
+    chatSource.on('error', (error) => {
+      console.error('Chat source error:', error.message);
+      isConnected = false;
+      isConnecting = false;
+      broadcastConnectionStatus(false);
+    });
+
+    chatSource.on('disconnected', (reason) => {
+      console.log(`Disconnected from ${chatSource.describe()}:`, reason);
+      isConnected = false;
+      isConnecting = false;
+      broadcastConnectionStatus(false);
+
+      if (!chatSource.reconnectable) return;
+
+      if (reconnectAttempts < maxReconnectAttempts) {
+        reconnectAttempts++;
+        console.log(`Attempting to reconnect (${reconnectAttempts}/${maxReconnectAttempts})...`);
+        // Add delay before reconnecting to prevent rapid reconnection loops
+        setTimeout(() => {
+          connectChatSource();
+        }, reconnectInterval);
+      } else {
+        console.error('Max reconnection attempts reached. Please restart the server.');
+      }
+    });
+
+    chatSource.connect();
+  }
+
+  function broadcastConnectionStatus(connected) {
+    io.to(room).emit('connection_status', { connected });
+  }
+
+  // Game phase management
+  async function startBettingPhase(params = buildRoundParams().params) {
+    if (gamePhase !== GAME_PHASES.IDLE && gamePhase !== GAME_PHASES.ENDED) {
+      console.log('Cannot start betting phase - game is already in progress');
+      return false;
+    }
+    // A new round would overwrite the journal of the one still to be resumed
+    if (resumeTimer) {
+      console.log('Cannot start betting phase - a saved round is still waiting to be resumed');
+      return false;
+    }
+    
+    try {
+      resetGame();
+      fightEndingInProgress = false;
+      fightEndCalled = false;
+      currentRoundId = nextRoundId();
+      roundParams = { ...params };
+      bossHP = roundParams.initialHp;
+      
+      const [bettingRoundPDAResult] = getBettingRoundPDA(currentRoundId);
+      const [escrowPDAResult] = getEscrowPDA(currentRoundId);
+      bettingRoundPDA = bettingRoundPDAResult;
+      escrowPDA = escrowPDAResult;
+      
+      let signature = null;
+      if (program) {
+        console.log('Initializing betting round on blockchain...');
+        const authorityPubkey = authorityKeypair.publicKey.toBase58();
+        console.log("Authority Public Key:", authorityPubkey);
+        
+        signature = await program.methods
+          .initializeBettingRound(
+            new BN(currentRoundId),
+            new BN(roundParams.bettingDuration),
+            new BN(roundParams.fightDuration),
+            roundParams.initialHp,
+            roundParams.feePercentage
+          )
+          .accounts({
+            bettingRound: bettingRoundPDA,
+            escrow: escrowPDA,
+            authority: authorityKeypair.publicKey,
+            treasury: treasuryPubkey,
+            systemProgram: SystemProgram.programId,
+          })
+          .signers([authorityKeypair])
+          .rpc();
+        
+        console.log('Betting round initialized on blockchain:', signature);
+      }
+      
+      gamePhase = GAME_PHASES.BETTING;
+      bettingEndTime = Date.now() + (roundParams.bettingDuration * 1000);
+      logRoundEvent({
+        type: 'betting_started',
+        signature,
+        detail: `boss=${getBossInfo().id} hp=${roundParams.initialHp} betting=${roundParams.bettingDuration}s fight=${roundParams.fightDuration}s fee=${roundParams.feePercentage}%`
+      });
+      if (chatRecorder) chatRecorder.start(currentRoundId);
+      persistState();
+      
+      console.log(`[${room}] Betting phase started! Users have ${roundParams.bettingDuration}s to place bets. Boss HP ${roundParams.initialHp}, fight ${roundParams.fightDuration}s, fee ${roundParams.feePercentage}%`);
+      
+      io.to(room).emit('phase_change', {
+        gamePhase,
+        currentRoundId,
+        roundParams,
+        boss: getBossInfo(),
+        maxHP: roundParams.initialHp,
+        bossHP,
+        timeRemaining: roundParams.bettingDuration * 1000,
+        message: themeMessage('bettingStarted'),
+        odds: getOdds(),
+        bettingRoundPDA: bettingRoundPDA.toString(),
+        escrowPDA: escrowPDA.toString()
+      });
+      
+      gameTimer = setTimeout(() => {
+        startFightingPhase();
+      }, roundParams.bettingDuration * 1000);
+      
+      if (roundScheduler) roundScheduler.roundStarted();
+      return true;
+    } catch (error) {
+      console.error('Error starting betting phase:', error);
+      gamePhase = GAME_PHASES.IDLE;
+      return false;
+    }
+  }
+
+  async function startFightingPhase(retryCount = 0) {
+    if (gamePhase !== GAME_PHASES.BETTING) return;
+    
+    try {
+      let signature = null;
+      if (program) {
+        console.log('Starting fight phase on blockchain...');
+        
+        signature = await program.methods
+          .startFightPhase()
+          .accounts({
+            bettingRound: bettingRoundPDA,
+            authority: authorityKeypair.publicKey,
+          })
+          .rpc();
+        
+        console.log('Fight phase started on blockchain:', signature);
+      }
+      
+      gamePhase = GAME_PHASES.FIGHTING;
+      fightEndTime = Date.now() + (roundParams.fightDuration * 1000);
+      fightSeed = (chatSource && chatSource.recordedSeed) ?? crypto.randomInt(0xffffffff);
+      logRoundEvent({ type: 'fight_started', signature });
+      startBossFight();
+      
+      if (program) {
+        await loadBettingData();
+      }
+      persistState();
+      
+      console.log(`[${room}] Fighting phase started! Raid begins now.`);
+      
+      io.to(room).emit('phase_change', {
+        gamePhase,
+        roundParams,
+        boss: getBossInfo(),
+        timeRemaining: roundParams.fightDuration * 1000,
+        message: themeMessage('fightStarted')
+      });
+      
+      gameTimer = setTimeout(() => {
+        endFight();
+      }, roundParams.fightDuration * 1000);
+
+      if (chatRecorder) chatRecorder.mark('fight_start', { fightStart: getFightStart(), fightEndTime, seed: fightSeed, roundParams });
+      // A replay source feeds its recording from the moment the fight begins
+      if (chatSource && typeof chatSource.startPlayback === 'function') {
+        chatSource.startPlayback(getFightStart());
+      }
+      
+    } catch (error) {
+      if (error.error?.errorCode?.code === 'BettingStillActive' && retryCount < 5) {
+        console.log(`Betting still active on-chain, retrying in 2 seconds (attempt ${retryCount + 1}/5)...`);
+        setTimeout(() => startFightingPhase(retryCount + 1), 2000);
+        return;
+      }
+      
+      console.error('Error starting fight phase:', error);
+      
+      if (retryCount >= 5) {
+        console.error('Failed to start fight phase after 5 retry attempts');
+        io.to(room).emit('phase_change', {
+          gamePhase: GAME_PHASES.IDLE,
+          message: themeMessage('fightStartFailed')
+        });
+        gamePhase = GAME_PHASES.IDLE;
+        if (roundScheduler) roundScheduler.roundEnded();
+      }
+    }
+  }
+
+  async function loadBettingData() {
+    try {
+      if (!bettingRoundPDA || !program) return;
+      
+      const bettingRoundAccount = await program.account.bettingRound.fetch(bettingRoundPDA);
+      
+      totalDeathBets = bettingRoundAccount.totalDeathBets.toNumber();
+      totalSurvivalBets = bettingRoundAccount.totalSurvivalBets.toNumber();
+      
+      console.log(`Loaded betting data - Death: ${totalDeathBets / LAMPORTS_PER_SOL} SOL, Survival: ${totalSurvivalBets / LAMPORTS_PER_SOL} SOL`);
+      console.log(`Total bets count: ${bettingRoundAccount.totalBetsCount.toNumber()}`);
+      
+      const bets = await betCache.load(bettingRoundAccount.roundId.toNumber(), { force: true });
+      console.log(`Found ${bets.size} bet accounts on-chain`);
+      
+      // Bet accounts do not know the transaction that created them; keep
+      // the signatures the BetPlaced events brought in
+      onChainBets = new Map(Array.from(bets.values(), bet => [bet.bettor, {
+        username: bet.username,
+        amount: bet.amount,
+        prediction: bet.prediction,
+        signature: onChainBets.has(bet.bettor) ? onChainBets.get(bet.bettor).signature : undefined,
+        timestamp: bet.timestamp
+      }]));
+      
+      io.to(room).emit('betting_update', {
+        totalDeathBets: totalDeathBets / LAMPORTS_PER_SOL,
+        totalSurvivalBets: totalSurvivalBets / LAMPORTS_PER_SOL,
+        totalBets: onChainBets.size,
+        odds: getOdds()
+      });
+      
+    } catch (error) {
+      console.error('Error loading betting data:', error);
+      throw error;
+    }
+  }
+
+  // Runs every BROADCAST_TICK_MS from start(). Instead of one 'update' per
+  // hit and a timer push every 100ms, each tick sends at most one 'update'
+  // with the hits since the last tick, and a 'timer' only when a phase end
+  // moves; clients count down to it locally.
+  function broadcastTick() {
+    if (gamePhase === GAME_PHASES.FIGHTING) tickBoss();
+    flushUpdate();
+
+    const timer = getTimer();
+    const timerKey = timer ? `${timer.phase}:${timer.endsAt}` : null;
+    if (timerKey !== sentTimer) {
+      sentTimer = timerKey;
+      io.to(room).emit('timer', { timer, serverTime: Date.now() });
+    }
+  }
+
+  // The delta since the last tick: HP, the batched hits, and the top 3 and
+  // last hitter only if they changed
+  function flushUpdate() {
+    if (!stateDirty) return;
+
+    const update = {
+      seq: ++broadcastSeq,
+      sentAt: Date.now(),
+      bossHP,
+      maxHP: roundParams.initialHp,
+      totalHits,
+      hits: pendingHits
+    };
+    const top = getTop(3);
+    const topKey = JSON.stringify(top);
+    if (topKey !== sentTop) {
+      update.top = top;
+      sentTop = topKey;
+    }
+    if (lastHitter !== sentLastHitter) {
+      update.lastHitter = lastHitter;
+      sentLastHitter = lastHitter;
+    }
+
+    pendingHits = [];
+    stateDirty = false;
+    io.to(room).emit('update', update);
+  }
+
+  // When the phase on screen ends, or null when there is nothing to count down
+  function getTimer() {
+    if (gamePhase === GAME_PHASES.BETTING && bettingEndTime) {
+      return { phase: 'betting', endsAt: bettingEndTime };
+    }
+    if (gamePhase === GAME_PHASES.FIGHTING && fightEndTime) {
+      return { phase: 'fighting', endsAt: fightEndTime };
+    }
+    if (roundScheduler && roundScheduler.nextRoundAt) {
+      return { phase: 'next_round', endsAt: roundScheduler.nextRoundAt };
+    }
+    return null;
+  }
+
+  async function claimFees(round = { bettingRound: bettingRoundPDA, escrow: escrowPDA }) {
+    if (!round.bettingRound || !round.escrow || !program) return;
+    
+    try {
+      console.log('Claiming fees from escrow...');
+      
+      const tx = await program.methods
+        .claimFees()
+        .accounts({
+          bettingRound: round.bettingRound,
+          escrow: round.escrow,
+          treasury: treasuryPubkey,
+          authority: authorityKeypair.publicKey,
+          systemProgram: SystemProgram.programId,
+        })
+        .rpc();
+        
+      console.log('Fees claimed successfully:', tx);
+      return tx;
+    } catch (error) {
+      console.error('Error claiming fees:', error);
+      return null;
+    }
+  }
+
+  async function processPayouts() {
+    if (!bettingRoundPDA || !program) {
+      console.log('Cannot process payouts - no active round or program not loaded');
+      return;
+    }
+    
+    try {
+      console.log('Processing payouts...');
+      
+      const bettingRoundAccount = await program.account.bettingRound.fetch(bettingRoundPDA);
+      
+      const bossDefeated = bossHP === 0;
+      const totalDeathBetsLamports = bettingRoundAccount.totalDeathBets.toNumber();
+      const totalSurvivalBetsLamports = bettingRoundAccount.totalSurvivalBets.toNumber();
+      
+      const winningPrediction = bossDefeated ? 'death' : 'survival';
+      const totalWinnerBets = bossDefeated ? totalDeathBetsLamports : totalSurvivalBetsLamports;
+      const totalLoserBets = bossDefeated ? totalSurvivalBetsLamports : totalDeathBetsLamports;
+      
+      console.log(`Boss ${bossDefeated ? 'defeated' : 'survived'}`);
+      console.log(`Winning side: ${winningPrediction}`);
+      console.log(`Total winner bets: ${totalWinnerBets / LAMPORTS_PER_SOL} SOL`);
+      console.log(`Total loser bets (prize pool): ${totalLoserBets / LAMPORTS_PER_SOL} SOL`);
+      
+      // Settlement always reads the chain, never a cached copy
+      const bets = await betCache.load(bettingRoundAccount.roundId.toNumber(), { force: true });
+      console.log(`Found ${bets.size} bet accounts to process`);
+      
+      const feeAmount = Math.floor(totalLoserBets * bettingRoundAccount.feePercentage / 100);
+      const prizePool = totalLoserBets - feeAmount;
+      const winners = [];
+      const settledBets = [];
+      
+      for (const bet of bets.values()) {
+        if (bet.prediction !== winningPrediction) {
+          console.log(`Loser: ${bet.username} - Lost ${bet.amount / LAMPORTS_PER_SOL} SOL`);
+          settledBets.push({ bettor: bet.bettor, username: bet.username, amount: bet.amount, prediction: bet.prediction, won: false, payout: 0, payoutState: null });
+          continue;
+        }
+        const prizeShare = Math.floor((prizePool * bet.amount) / totalWinnerBets);
+        const totalPayout = bet.amount + prizeShare;
+        
+        console.log(`Winner: ${bet.username} - Bet: ${bet.amount / LAMPORTS_PER_SOL} SOL, Prize: ${prizeShare / LAMPORTS_PER_SOL} SOL, Total: ${totalPayout / LAMPORTS_PER_SOL} SOL`);
+        
+        winners.push({
+          roundId: currentRoundId,
+          coin: coinAddress,
+          bettingRound: bettingRoundPDA.toString(),
+          escrow: escrowPDA.toString(),
+          betAccount: bet.pubkey,
+          bettor: bet.bettor,
+          username: bet.username,
+          betAmount: bet.amount,
+          prizeShare,
+          totalPayout
+        });
+        settledBets.push({ bettor: bet.bettor, username: bet.username, amount: bet.amount, prediction: bet.prediction, won: true, payout: totalPayout, payoutState: PAYOUT_STATES.PENDING });
+      }
+      
+      betHistory.recordRound({
+        roundId: currentRoundId,
+        coin: coinAddress,
+        boss: { id: getBossInfo().id, name: getBossInfo().name },
+        bossDefeated,
+        winningPrediction,
+        finalHp: bossHP,
+        totalDeathBets: totalDeathBetsLamports,
+        totalSurvivalBets: totalSurvivalBetsLamports,
+        feePercentage: bettingRoundAccount.feePercentage,
+        fee: feeAmount,
+        bets: settledBets
+      });
+      
+      if (totalWinnerBets === 0) {
+        console.log('No winners - claiming fees only.');
+        recordFeeClaim(feeAmount, await claimFees());
+        return;
+      }
+      
+      // Each winner becomes a persisted payout job; the first attempt runs
+      // now, failures are retried in the background by the queue
+      payoutQueue.enqueue(winners);
+      await payoutQueue.processFresh();
+      
+      // The fee comes out of the escrow the winners are paid from and closes
+      // the round's payouts on-chain, so it waits until none is left to pay
+      const openPayouts = payoutQueue.list({ roundId: currentRoundId }).filter(job => !isPayoutSettled(job));
+      if (openPayouts.length) {
+        deferredFeeClaims.set(currentRoundId, { amount: feeAmount, bettingRound: bettingRoundPDA, escrow: escrowPDA });
+        console.log(`Fees are claimed once the ${openPayouts.length} payouts still retrying have settled`);
+      } else {
+        recordFeeClaim(feeAmount, await claimFees());
+      }
+
+      const jobs = payoutQueue.list({ roundId: currentRoundId });
+      const payoutResults = jobs
+        .filter(job => job.state === PAYOUT_STATES.CONFIRMED)
+        .map(formatPayout);
+      
+      io.to(room).emit('payouts_processed', {
+        bossDefeated,
+        winningPrediction,
+        totalPrizePool: totalLoserBets / LAMPORTS_PER_SOL,
+        totalWinnerBets: totalWinnerBets / LAMPORTS_PER_SOL,
+        winningBets: jobs.length,
+        pendingPayouts: jobs.length - payoutResults.length,
+        payouts: payoutResults
+      });
+      
+      console.log(`Payout processing complete: ${payoutResults.length}/${jobs.length} payouts confirmed`);
+      return payoutResults;
+    } catch (error) {
+      console.error('Error processing payouts:', error);
+      throw error;
+    }
+  }
+
+  // A payout job as the overlay shows it, in SOL
+  function formatPayout(job) {
+    return {
+      username: job.username,
+      wallet: job.bettor,
+      betAmount: job.betAmount / LAMPORTS_PER_SOL,
+      prizeShare: job.prizeShare / LAMPORTS_PER_SOL,
+      totalPayout: job.totalPayout / LAMPORTS_PER_SOL,
+      state: job.state,
+      signature: job.signature
+    };
+  }
+
+  async function endFight() {
+    if (fightEndingInProgress || fightEndCalled) {
+      console.log(`Fight end already in progress or completed. Skipping duplicate call (reason: ${reason})`);
+      return;
+    }
+    if (gamePhase !== GAME_PHASES.FIGHTING) return;
+    
+    try {
+        fightEndingInProgress = true;
+        fightEndCalled = true;
+      clearTimeout(gameTimer);
+      // Clients see the final HP before the result
+      flushUpdate();
+      
+      const bossDefeated = bossHP === 0;
+      
+      console.log(`[${room}] Ending fight. Boss ${bossDefeated ? 'defeated' : 'survived'}`);
+      console.log(`Final HP: ${bossHP}/${roundParams.initialHp}`);
+      if (chatRecorder) chatRecorder.mark('fight_end', { finalHP: bossHP, bossDefeated });
+      
+      if (program) {
+        console.log('Ending fight on blockchain');
+        // 🔑 CRITICAL FIX: Explicitly check the BN value being sent
+      const finalHP_BN = new BN(bossHP); 
+      
+      // 🔑 ADD THIS LOG TO VERIFY THE EXACT DATA SENT TO SOLANA
+      console.log(`[RPC PAYLOAD CHECK] Sending final_hp: ${bossHP} (BN value: ${finalHP_BN.toString()})`);
+      
+      const tx = await program.methods
+        .endFight(finalHP_BN) // Use the guaranteed-correct BN object
+        .accounts({
+          bettingRound: bettingRoundPDA,
+          authority: authorityKeypair.publicKey,
+        })
+        .rpc();
+        
+        console.log('Fight ended on blockchain:', tx);
+        logRoundEvent({ type: 'fight_ended', signature: tx, detail: `final_hp=${bossHP} boss_defeated=${bossDefeated}` });
+        await processPayouts();
+      }
+      
+      finishFight(bossDefeated);
+    } catch (error) {
+      console.error('Error ending fight:', error);
+    }finally {
+      fightEndingInProgress = false;
+    }
+  }
+
+  function finishFight(bossDefeated) {
+    gamePhase = GAME_PHASES.ENDED;
+    bossFight = null;
+    if (chatRecorder) chatRecorder.stop();
+    persistState();
+    
+    const results = buildResults(bossDefeated);
+    // Who got rejected or flagged is for admins and the exports only
+    const { antiSpam, ...publicResults } = results;
+    if (antiSpam) io.to(adminRoom).emit('admin:spam_report', antiSpam);
+    
+    io.to(room).emit('fight_ended', {
+      gamePhase,
+      bossDefeated,
+      results: publicResults,
+      message: themeMessage(bossDefeated ? 'bossDefeated' : 'bossSurvived')
+    });
+
+    leaderboards.recordRound({
+      roundId: currentRoundId,
+      coin: coinAddress,
+      endedAt: Date.now(),
+      bossDefeated,
+      lastHitter: results.lastHitter,
+      scores: results.scores
+    });
+    io.to(room).emit('leaderboard_update', leaderboards.snapshot(coinAddress));
+    
+    exportResults(results).then(() => {
+      console.log('Results exported.');
+    }).catch(err => console.error('Error exporting results:', err));
+
+    if (roundScheduler) roundScheduler.roundEnded();
+  }
+
+  function resetGame() {
+    gamePhase = GAME_PHASES.IDLE;
+    currentRoundId = 0;
+    roundParams = buildRoundParams().params;
+    bossHP = roundParams.initialHp;
+    bossFight = null;
+    fightSeed = null;
+    userHits = new Map();
+    chronological = [];
+    roundEvents = [];
+    feeClaim = null;
+    lastHitter = null;
+    totalHits = 0;
+    pendingHits = [];
+    stateDirty = false;
+    sentTop = null;
+    sentLastHitter = null;
+    onChainBets = new Map();
+    totalDeathBets = 0;
+    totalSurvivalBets = 0;
+    bettingEndTime = null;
+    fightEndTime = null;
+    bettingRoundPDA = null;
+    escrowPDA = null;
+
+    fightEndingInProgress = false;
+    fightEndCalled = false;
+
+    if (chatRecorder) chatRecorder.stop();
+    if (spamFilter) spamFilter.reset();
+    keywordRules.resetRound();
+    roundJournal.clear();
+    
+    if (gameTimer) {
+      clearTimeout(gameTimer);
+      gameTimer = null;
+    }
+    
+    console.log(`[${room}] Game reset! Boss HP: ${bossHP}/${roundParams.initialHp}`);
+    
+    io.to(room).emit('game_reset', {
+      gamePhase,
+      bossHP,
+      maxHP: roundParams.initialHp,
+      boss: getBossInfo(),
+      odds: getOdds(),
+      message: themeMessage('gameReset')
+    });
+  }
+
+  /**
+   * Message handling & game logic (only during fighting phase)
+   * HP is tracked client-side only - no RPC calls here!
+   */
+  async function handleChatMessage(username, message, timestamp = Date.now()) {
+    if (gamePhase !== GAME_PHASES.FIGHTING) return;
+
+    // 🛑 Safety check: If boss is already dead, stop processing new damage/heals
+    if (bossHP <= 0) {
+        console.log(`Boss is already defeated. Ignoring message from ${username}.`);
+        return;
+    }
+
+    // Highest-priority matching rule; nothing or an ambiguous damage/heal mix is ignored
+    const rule = keywordRules.match(message);
+    if (!rule) return;
+
+    // Rejected messages are counted by the filter and never reach the boss
+    if (spamFilter) {
+      const verdict = spamFilter.check(username, message, timestamp, { keyword: keywordRules.isKeyword(message) });
+      if (!verdict.allowed) {
+        if (verdict.flagged) {
+          console.warn(`🤖 ${username} flagged as a bot (${verdict.flagged.reason}). Ignoring them for the rest of the round.`);
+        }
+        io.to(adminRoom).emit('admin:spam_rejected', {
+          username,
+          message,
+          reason: verdict.reason,
+          flagged: verdict.flagged || null,
+          rejectedTotal: spamFilter.rejectedTotal,
+          rejectedByReason: spamFilter.rejectedByReason
+        });
+        return;
+      }
+    }
+
+    // Shields and heal immunity stop the message before it can build a combo
+    const blocked = bossFight && bossFight.blockedBy(rule.type === RULE_TYPES.DAMAGE, timestamp);
+    if (blocked) {
+      io.to(room).emit('boss_ability', { ability: blocked, event: 'blocked', username, rule: rule.name });
+      return;
+    }
+
+    // Crit and combo are only rolled for messages that land. The roll only
+    // depends on the fight's seed and the message, so a replay rolls the same
+    const critRoll = () => seededRandom(fightSeed, username, timestamp - getFightStart(), message);
+    let { delta, crit, combo } = keywordRules.roll(username, rule, timestamp, critRoll);
+
+    // The boss gets the last word: enrage scales
+    if (bossFight) delta = bossFight.modifyDelta(delta, timestamp).delta;
+    const hitsDelta = Math.abs(delta);
+    const extras = `${crit ? ' CRIT!' : ''}${combo ? ` ${combo}x combo!` : ''}`;
+    
+    // Logging
+    if (delta < 0) {
+      console.log(`${username} dealt ${hitsDelta} damage (${rule.name})!${extras} Boss HP: ${Math.max(0, bossHP + delta)}/${roundParams.initialHp}`);
+    } else {
+      console.log(`${username} healed ${hitsDelta} HP (${rule.name})!${extras} Boss HP: ${Math.min(roundParams.initialHp, bossHP + delta)}/${roundParams.initialHp}`);
+    }
+
+    const hit = { username, message, timestamp, delta, rule: rule.name, crit, combo };
+    applyHit(hit);
+    roundJournal.appendHit(hit);
+    if (bossFight) emitBossEvents(bossFight.afterHpChange(bossHP));
+    
+    // Sent with the next broadcast tick, without the chat message itself
+    const compact = { username, delta, timestamp };
+    if (crit) compact.crit = true;
+    if (combo) compact.combo = combo;
+    pendingHits.push(compact);
+    stateDirty = true;
+
+    // 🚀 CRITICAL NEW LOGIC: Check for instant defeat 🚀
+    if (bossHP === 0) {
+        console.log("BOSS DEFEATED! Triggering immediate fight end sequence.");
+        
+        // Clear the timeout to prevent a delayed endFight call when the timer expires
+        if (gameTimer) {
+            clearTimeout(gameTimer);
+            gameTimer = null; // Important to null it out
+        }
+        
+        // The server is the authority; call the function that handles on-chain state change and payouts.
+        await endFight(); 
+    }
+  }
+
+  // Shared by live chat and journal replay so a resumed round ends up identical
+  function applyHit(hit) {
+    const { username, delta } = hit;
+    // Boss abilities (regen) only move the HP
+    if (!hit.ability) {
+      // Update user statistics
+      if (delta < 0) {
+        totalHits += Math.abs(delta);
+        const prev = userHits.get(username) || 0;
+        userHits.set(username, prev + Math.abs(delta));
+        lastHitter = username;
+      }
+
+      chronological.push(hit);
+    }
+
+    // Update the boss's HP, clamped between 0 and the round's initial HP
+    bossHP = Math.max(0, Math.min(roundParams.initialHp, bossHP + delta));
+  }
+
+  // The boss of the round as overlays show it, with the coin's theme art
+  function getBossInfo() {
+    const boss = bossDefinitions.get(roundParams.boss) || bossDefinitions.get(defaultBossId);
+    const art = themes.bossArt(coinAddress, boss.id);
+    return { id: boss.id, name: art.name || boss.name, image: art.image || boss.image, abilities: boss.abilities };
+  }
+
+  // Phase message from the coin's theme (theme_store.js)
+  function themeMessage(key) {
+    return themes.message(coinAddress, key, {
+      boss: getBossInfo().name,
+      bettingDuration: formatDuration(roundParams.bettingDuration),
+      fightDuration: formatDuration(roundParams.fightDuration)
+    });
+  }
+
+  function getFightStart() {
+    return fightEndTime - roundParams.fightDuration * 1000;
+  }
+
+  function startBossFight() {
+    const definition = bossDefinitions.get(roundParams.boss) || bossDefinitions.get(defaultBossId);
+    bossFight = new BossFight(definition, {
+      fightStart: getFightStart(),
+      fightEnd: fightEndTime,
+      maxHp: roundParams.initialHp
+    });
+  }
+
+  function emitBossEvents(events) {
+    for (const event of events) {
+      console.log(`👹 ${getBossInfo().name}: ${event.ability} ${event.event}`);
+      io.to(room).emit('boss_ability', { ...event, bossHP });
+    }
+  }
+
+  // Runs from the broadcast tick while fighting: shield windows, heal
+  // immunity and regen. Regen follows the wall clock, so a replay takes it
+  // from the recording instead of rolling its own.
+  function tickBoss() {
+    if (!bossFight || bossHP <= 0 || fightEndingInProgress || fightEndCalled) return;
+
+    const now = Date.now();
+    const { regen, events } = bossFight.tick(bossHP, now);
+    emitBossEvents(events);
+    if (regen <= 0 || (chatSource && chatSource.replaysRegen)) return;
+    applyRegen(regen, now);
+  }
+
+  // Regen is journaled like a hit so a resume keeps it, and recorded between
+  // the chat messages so a replay applies it at the same point
+  function applyRegen(amount, timestamp) {
+    const hit = { ability: 'regen', delta: amount, timestamp };
+    applyHit(hit);
+    roundJournal.appendHit(hit);
+    if (chatRecorder) chatRecorder.mark('regen', { amount });
+    io.to(room).emit('boss_ability', { ability: 'regen', event: 'trigger', amount, bossHP });
+    stateDirty = true;
+  }
+
+  // 60 -> "1 minute", 90 -> "90 seconds"
+  function formatDuration(seconds) {
+    if (seconds % 60 === 0) {
+      const minutes = seconds / 60;
+      return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    return `${seconds} seconds`;
+  }
+
+  function getTop(n = 3) {
+    const arr = Array.from(userHits.entries()).map(([username, hits]) => ({ username, hits }));
+    arr.sort((a, b) => b.hits - a.hits);
+    return arr.slice(0, n);
+  }
+
+  function buildResults(bossDefeated) {
+    const top = getTop(1)[0] || null;
+    return {
+      currentRoundId,
+      roundParams,
+      boss: { id: getBossInfo().id, name: getBossInfo().name },
+      bossDefeated,
+      topDamageDealer: top ? top.username : null,
+      topDamage: top ? top.hits : 0,
+      lastHitter,
+      scores: Array.from(userHits.entries()).map(([username, hits]) => ({ username, hits })),
+      totalHits,
+      totalDeathBets: totalDeathBets / LAMPORTS_PER_SOL,
+      totalSurvivalBets: totalSurvivalBets / LAMPORTS_PER_SOL,
+      antiSpam: spamFilter ? spamFilter.getReport() : null,
+      coinAddress,
+      programId: PROGRAM_ID_STR,
+      bettingRoundPDA: bettingRoundPDA ? bettingRoundPDA.toString() : null,
+      timestamp: formatISO(new Date())
+    };
+  }
+
+  // Everything the round leaves behind (round_export.js). Bets come from
+  // the chain, with the signatures of the BetPlaced events where known.
+  async function exportResults(results) {
+    const roundId = currentRoundId;
+    const knownBets = onChainBets;
+    const events = [
+      ...roundEvents,
+      ...chronological.map(hit => ({
+        timestamp: hit.timestamp,
+        type: hit.delta < 0 ? 'hit' : 'heal',
+        username: hit.username,
+        delta: hit.delta,
+        detail: [hit.rule, hit.crit && 'crit', hit.combo && `${hit.combo}x combo`, hit.message].filter(Boolean).join(' | ')
+      }))
+    ];
+    const bets = program ? Array.from((await betCache.load(roundId)).values(), bet => ({
+      wallet: bet.bettor,
+      username: bet.username,
+      side: bet.prediction,
+      amount: bet.amount,
+      placedAt: bet.timestamp * 1000,
+      betAccount: bet.pubkey,
+      signature: knownBets.has(bet.bettor) ? knownBets.get(bet.bettor).signature : null
+    })) : [];
+
+    const { manifestPath, manifest } = await roundExporter.exportRound({
+      roundId,
+      coinAddress,
+      results,
+      events,
+      bets,
+      payouts: payoutQueue.list({ roundId }),
+      feeClaim
+    });
+    console.log(`Round ${roundId} exported: ${manifest.events} events, ${manifest.bets.count} bets, ${manifest.payouts.count} payouts (${manifestPath})`);
+    roundArchive.add(manifest.files.summary);
+    return manifestPath;
+  }
+
+  function logRoundEvent(event) {
+    roundEvents.push({ timestamp: Date.now(), ...event });
+  }
+
+  // The fee claim processPayouts put off, once the last payout of its round
+  // settled; resolves to { amount, signature } for the export, or null
+  async function claimDeferredFees(roundId) {
+    const deferred = deferredFeeClaims.get(roundId);
+    if (!deferred) return null;
+    deferredFeeClaims.delete(roundId);
+    const signature = await claimFees(deferred);
+    if (roundId === currentRoundId) recordFeeClaim(deferred.amount, signature);
+    return { amount: deferred.amount, signature };
+  }
+
+  // The treasury's cut of the round, for the export
+  function recordFeeClaim(amount, signature) {
+    feeClaim = { amount, signature };
+    logRoundEvent({ type: signature ? 'fees_claimed' : 'fee_claim_failed', amount, signature });
+  }
+
+  /**
+   * Round persistence
+   * A snapshot is written on every phase transition and every hit is appended
+   * to the journal in between, so a restart can pick the round up where it was.
+   */
+  function snapshotState() {
+    return {
+      gamePhase,
+      currentRoundId,
+      roundParams,
+      bossHP,
+      userHits: Array.from(userHits.entries()),
+      chronological,
+      roundEvents,
+      feeClaim,
+      lastHitter,
+      totalHits,
+      bettingEndTime,
+      fightEndTime,
+      fightSeed,
+      bettingRoundPDA: bettingRoundPDA ? bettingRoundPDA.toString() : null,
+      escrowPDA: escrowPDA ? escrowPDA.toString() : null,
+      onChainBets: Array.from(onChainBets.entries()),
+      totalDeathBets,
+      totalSurvivalBets,
+      antiSpam: spamFilter ? spamFilter.toJSON() : null
+    };
+  }
+
+  function persistState() {
+    if (gamePhase === GAME_PHASES.IDLE || !currentRoundId) return;
+    try {
+      roundJournal.saveSnapshot(snapshotState());
+    } catch (error) {
+      console.error('Error saving round state:', error.message);
+    }
+  }
+
+  function restoreState(snapshot, hits) {
+    gamePhase = snapshot.gamePhase;
+    currentRoundId = snapshot.currentRoundId;
+    roundParams = snapshot.roundParams || buildRoundParams().params;
+    bossHP = snapshot.bossHP;
+    userHits = new Map(snapshot.userHits);
+    chronological = snapshot.chronological;
+    roundEvents = snapshot.roundEvents || [];
+    feeClaim = snapshot.feeClaim || null;
+    lastHitter = snapshot.lastHitter;
+    totalHits = snapshot.totalHits;
+    bettingEndTime = snapshot.bettingEndTime;
+    fightEndTime = snapshot.fightEndTime;
+    fightSeed = snapshot.fightSeed === undefined ? null : snapshot.fightSeed;
+    bettingRoundPDA = new PublicKey(snapshot.bettingRoundPDA);
+    escrowPDA = new PublicKey(snapshot.escrowPDA);
+    onChainBets = new Map(snapshot.onChainBets);
+    totalDeathBets = snapshot.totalDeathBets;
+    totalSurvivalBets = snapshot.totalSurvivalBets;
+    if (spamFilter) spamFilter.restore(snapshot.antiSpam);
+
+    for (const hit of hits) applyHit(hit);
+  }
+
+  // Tries the saved round again later, backing off; no new round starts meanwhile
+  function retryResumeLater(reason) {
+    const delay = Math.min(RESUME_RETRY_MAX_MS, reconnectInterval * RESUME_FETCH_ATTEMPTS * 2 ** resumeRetries++);
+    console.error(`❌ [${room}] Could not resume the saved round: ${reason}. Trying again in ${delay / 1000}s; no new round starts until then.`);
+    resumeTimer = setTimeout(() => {
+      resumeTimer = null;
+      resumeRound()
+        .catch(error => retryResumeLater(error.message))
+        .then(() => {
+          if (!resumeTimer && roundScheduler) roundScheduler.roundEnded();
+        });
+    }, delay);
+  }
+
+  // Reconciles the journaled round with its BettingRound account, which is the
+  // source of truth for the phase, then restarts the timers or finishes the round
+  async function resumeRound() {
+    const saved = roundJournal.load();
+    if (!saved) return;
+
+    const { snapshot, hits } = saved;
+    if (!snapshot.currentRoundId || !snapshot.bettingRoundPDA) {
+      roundJournal.clear();
+      return;
+    }
+
+    // Bounded, so an unreachable RPC does not hold up the server's startup. The
+    // journal is kept (its bets are in escrow) and no new round may start until
+    // the round is resumed or an operator resets the game
+    let bettingRoundAccount;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        bettingRoundAccount = await program.account.bettingRound.fetchNullable(new PublicKey(snapshot.bettingRoundPDA));
+        break;
+      } catch (error) {
+        if (attempt >= RESUME_FETCH_ATTEMPTS) {
+          retryResumeLater(`round ${snapshot.currentRoundId} (${snapshot.bettingRoundPDA}) could not be read after ${attempt} attempts: ${error.message}`);
+          return;
+        }
+        console.error(`Error fetching saved round (attempt ${attempt}/${RESUME_FETCH_ATTEMPTS}), retrying:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, reconnectInterval));
+      }
+    }
+
+    if (!bettingRoundAccount) {
+      console.log(`Saved round ${snapshot.currentRoundId} was never initialized on-chain. Discarding it.`);
+      resetGame();
+      return;
+    }
+
+    restoreState(snapshot, hits);
+    resumeRetries = 0;
+    const chainPhase = Object.keys(bettingRoundAccount.phase)[0];
+    console.log(`♻️ [${room}] Resuming round ${currentRoundId}: saved phase ${snapshot.gamePhase}, on-chain phase ${chainPhase}, ${hits.length} journaled hits, boss HP ${bossHP}/${roundParams.initialHp}`);
+
+    try {
+      if (chainPhase === 'betting') {
+        gamePhase = GAME_PHASES.BETTING;
+        bettingEndTime = bettingRoundAccount.bettingEndTime.toNumber() * 1000;
+        if (chatRecorder) chatRecorder.start(currentRoundId);
+
+        const timeRemaining = Math.max(0, bettingEndTime - Date.now());
+        gameTimer = setTimeout(() => {
+          startFightingPhase();
+        }, timeRemaining);
+
+        io.to(room).emit('phase_change', {
+          gamePhase,
+          currentRoundId,
+          roundParams,
+          boss: getBossInfo(),
+          maxHP: roundParams.initialHp,
+          bossHP,
+          timeRemaining,
+          message: themeMessage('bettingResumed'),
+          bettingRoundPDA: bettingRoundPDA.toString(),
+          escrowPDA: escrowPDA.toString()
+        });
+        await loadBettingData();
+      } else if (chainPhase === 'fighting') {
+        // The fight may have started on-chain right before the crash
+        if (snapshot.gamePhase !== GAME_PHASES.FIGHTING) {
+          fightEndTime = bettingRoundAccount.fightEndTime.toNumber() * 1000;
+          fightSeed = crypto.randomInt(0xffffffff);
+        }
+        gamePhase = GAME_PHASES.FIGHTING;
+        fightEndingInProgress = false;
+        fightEndCalled = false;
+        startBossFight();
+        bossFight.afterHpChange(bossHP);
+        if (chatRecorder) chatRecorder.start(currentRoundId);
+        await loadBettingData();
+        persistState();
+
+        const timeRemaining = Math.max(0, fightEndTime - Date.now());
+        io.to(room).emit('phase_change', {
+          gamePhase,
+          roundParams,
+          boss: getBossInfo(),
+          bossStatus: bossFight.getStatus(),
+          maxHP: roundParams.initialHp,
+          bossHP,
+          timeRemaining,
+          message: themeMessage('fightResumed')
+        });
+
+        if (bossHP === 0 || timeRemaining === 0) {
+          await endFight();
+        } else {
+          gameTimer = setTimeout(() => {
+            endFight();
+          }, timeRemaining);
+        }
+      } else {
+        // end_fight went through; payouts or the results export may not have
+        const alreadyFinished = snapshot.gamePhase === GAME_PHASES.ENDED;
+        gamePhase = GAME_PHASES.ENDED;
+        bossHP = bettingRoundAccount.currentHp;
+        if (!bettingRoundAccount.payoutsProcessed) {
+          console.log('Payouts were not processed before the restart. Processing them now...');
+          await processPayouts();
+        }
+        if (alreadyFinished) {
+          persistState();
+        } else {
+          finishFight(bettingRoundAccount.bossDefeated);
+        }
+      }
+    } catch (error) {
+      console.error('Error resuming round:', error);
+    }
+  }
+
+  // A BetPlaced event of this game's round, from the log subscription or a
+  // verified client notification; whichever arrives second is ignored
+  function handleBetPlaced(bet) {
+    if (bet.roundId !== currentRoundId || onChainBets.has(bet.bettor)) return;
+    betCache.invalidate(bet.roundId);
+    onChainBets.set(bet.bettor, {
+      username: bet.username,
+      amount: bet.amount,
+      prediction: bet.prediction,
+      signature: bet.signature,
+      timestamp: Date.now()
+    });
+
+    if (bet.prediction === 'death') {
+      totalDeathBets += bet.amount;
+    } else {
+      totalSurvivalBets += bet.amount;
+    }
+    logRoundEvent({
+      type: 'bet_placed',
+      username: bet.username,
+      wallet: bet.bettor,
+      amount: bet.amount,
+      signature: bet.signature,
+      detail: bet.prediction
+    });
+    persistState();
+    console.log(`[${room}] Bet placed: ${bet.username} (${bet.bettor}) bet ${bet.amount / LAMPORTS_PER_SOL} SOL on ${bet.prediction}`);
+
+    io.to(room).emit('betting_update', {
+      totalDeathBets: totalDeathBets / LAMPORTS_PER_SOL,
+      totalSurvivalBets: totalSurvivalBets / LAMPORTS_PER_SOL,
+      totalBets: onChainBets.size,
+      odds: getOdds()
+    });
+  }
+
+  function handlePayoutClaimed(payout) {
+    betCache.markClaimed(payout.roundId, payout.bettor);
+    const bet = onChainBets.get(payout.bettor);
+    if (bet && payout.roundId === currentRoundId) bet.payoutClaimed = true;
+  }
+
+  function handleFeesClaimed(fees) {
+    console.log(`[${room}] Fees claimed for round ${fees.roundId}: ${fees.amount / LAMPORTS_PER_SOL} SOL`);
+  }
+
+  function getStatus() {
+    return {
+      coinAddress,
+      gamePhase,
+      currentRoundId,
+      bossHP,
+      maxHP: roundParams.initialHp,
+      roundParams,
+      totalHits,
+      programId: PROGRAM_ID_STR,
+      bettingEndTime,
+      fightEndTime,
+      totalDeathBets: totalDeathBets / LAMPORTS_PER_SOL,
+      totalSurvivalBets: totalSurvivalBets / LAMPORTS_PER_SOL,
+      totalBets: onChainBets.size
+    };
+  }
+
+  // Payout odds of both sides for a hypothetical bet (lamports) against the live pools
+  function getOdds(amount = REFERENCE_BET_LAMPORTS) {
+    return calculateOdds({ totalDeathBets, totalSurvivalBets, feePercentage: roundParams.feePercentage, amount });
+  }
+
+  // Both pools of the current round together, in lamports, counting bets
+  // that are still being relayed
+  function getPoolTotal() {
+    let reserved = 0;
+    for (const amount of reservedBets.values()) reserved += amount;
+    return totalDeathBets + totalSurvivalBets + reserved;
+  }
+
+  // A wallet's stake (lamports) in this game's round while it is still
+  // undecided, counting its bets that are still being relayed
+  function getOpenBet(walletAddress) {
+    const open = gamePhase === GAME_PHASES.BETTING || gamePhase === GAME_PHASES.FIGHTING;
+    const bet = open ? onChainBets.get(walletAddress) : null;
+    return ((bet ? bet.amount : 0) + (reservedBets.get(walletAddress) || 0)) || null;
+  }
+
+  // Holds `amount` lamports against the bet limits while a checked bet is on
+  // its way to the chain, so concurrent bets cannot all pass the same check.
+  // Returns the function that releases it, once the bet was counted or failed.
+  function reserveBet(walletAddress, amount) {
+    reservedBets.set(walletAddress, (reservedBets.get(walletAddress) || 0) + amount);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const left = reservedBets.get(walletAddress) - amount;
+      if (left > 0) reservedBets.set(walletAddress, left);
+      else reservedBets.delete(walletAddress);
+    };
+  }
+
+  function getCurrentRound() {
+    return {
+      coinAddress,
+      gamePhase,
+      currentRoundId,
+      roundParams,
+      programId: PROGRAM_ID_STR,
+      bettingRoundPDA: bettingRoundPDA ? bettingRoundPDA.toString() : null,
+      escrowPDA: escrowPDA ? escrowPDA.toString() : null,
+      bettingEndTime,
+      fightEndTime,
+      totalDeathBets: totalDeathBets / LAMPORTS_PER_SOL,
+      totalSurvivalBets: totalSurvivalBets / LAMPORTS_PER_SOL,
+      totalBets: onChainBets.size
+    };
+  }
+
+  // Everything an overlay needs when it joins the coin's room
+  function getState() {
+    return {
+      coinAddress,
+      gamePhase,
+      currentRoundId,
+      bossHP,
+      maxHP: roundParams.initialHp,
+      roundParams,
+      boss: getBossInfo(),
+      bossStatus: bossFight ? bossFight.getStatus() : null,
+      keywordRules: keywordRules.describe(),
+      top: getTop(3),
+      leaderboards: leaderboards.snapshot(coinAddress),
+      theme: themes.forCoin(coinAddress),
+      lastHitter,
+      chronological: chronological.slice(-10),
+      totalDeathBets: totalDeathBets / LAMPORTS_PER_SOL,
+      totalSurvivalBets: totalSurvivalBets / LAMPORTS_PER_SOL,
+      totalBets: onChainBets.size,
+      odds: getOdds(),
+      timeRemaining: gamePhase === GAME_PHASES.BETTING ? Math.max(0, bettingEndTime - Date.now()) : 0,
+      fightTimeRemaining: gamePhase === GAME_PHASES.FIGHTING ? Math.max(0, fightEndTime - Date.now()) : 0,
+      timer: getTimer(),
+      serverTime: Date.now(),
+      connected: chatSource ? chatSource.isConnected() : false,
+      nextRound: roundScheduler ? roundScheduler.getStatus() : null
+    };
+  }
+
+  function getSpamReport() {
+    return spamFilter ? spamFilter.getReport() : null;
+  }
+
+  // Admin reset: back to idle, and an automatic next round after the cooldown
+  function adminReset() {
+    if (resumeTimer) {
+      clearTimeout(resumeTimer);
+      resumeTimer = null;
+      console.log(`[${room}] Saved round discarded by an admin reset before it could be resumed`);
+    }
+    resetGame();
+    if (roundScheduler) roundScheduler.roundEnded();
+  }
+
+  function start() {
+    keywordRules.watch();
+    broadcastTimer = setInterval(broadcastTick, BROADCAST_TICK_MS);
+    connectChatSource();
+    return resumeRound().then(() => {
+      if (roundScheduler) roundScheduler.start();
+    });
+  }
+
+  function stop() {
+    if (gameTimer) clearTimeout(gameTimer);
+    if (resumeTimer) clearTimeout(resumeTimer);
+    if (broadcastTimer) clearInterval(broadcastTimer);
+    if (roundScheduler) roundScheduler.stop();
+    keywordRules.unwatch();
+    persistState();
+    if (chatRecorder) chatRecorder.stop();
+    if (chatSource) {
+      chatSource.disconnect();
+    }
+  }
+
+  return {
+    coinAddress,
+    room,
+    adminRoom,
+    roundScheduler,
+    keywordRules,
+    get gamePhase() { return gamePhase; },
+    get currentRoundId() { return currentRoundId; },
+    get bettingRoundPDA() { return bettingRoundPDA; },
+    get escrowPDA() { return escrowPDA; },
+    getStatus,
+    getCurrentRound,
+    getOdds,
+    getPoolTotal,
+    getOpenBet,
+    reserveBet,
+    getState,
+    getSpamReport,
+    handleBetPlaced,
+    handlePayoutClaimed,
+    handleFeesClaimed,
+    handleChatMessage,
+    startBettingPhase,
+    adminReset,
+    start,
+    stop
+  };
+}
+
+module.exports = { GAME_PHASES, createGame, roomFor };
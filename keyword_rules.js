@@ -0,0 +1,252 @@
+/**
+ * keyword_rules.js - Turns chat messages into damage and heals
+ *
+ * Rules come from a JSON file (KEYWORD_RULES_FILE, see keyword_rules.example.json)
+ * or, without one, from TRIGGER_KEYWORDS / HEAL_KEYWORDS as 1 damage / 1 heal.
+ *
+ * - a rule matches on any of its keywords, or on a regex pattern
+ * - keywords ignore case and emoji variation selectors, so "❤" matches "❤️"
+ * - wholeWord keywords only match when not part of a longer word ("HIT" but not "WHITE")
+ * - when several rules match, the highest priority wins; a tie between a
+ *   damage and a heal rule makes the message ambiguous and it is ignored
+ * - each rule can crit with its own chance and multiplier; crit rolls take a
+ *   seeded random (seededRandom) so replaying a recorded fight rolls the same crits
+ * - consecutive damage by the same user within the combo window earns bonus damage
+ *
+ * The file is watched and reloaded on change; a broken file keeps the old rules.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+
+const RULE_TYPES = {
+  DAMAGE: 'damage',
+  HEAL: 'heal'
+};
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Case and emoji presentation (U+FE0E / U+FE0F) should not decide a match
+function normalizeText(text) {
+  return String(text || '').normalize('NFC').replace(/[\uFE0E\uFE0F]/g, '').toUpperCase();
+}
+
+// A number in [0, 1) that only depends on its inputs (FNV-1a, then a
+// mulberry32 round), so the same seed and message always roll the same
+function seededRandom(...parts) {
+  let hash = 0x811c9dc5;
+  for (const char of parts.join('|')) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash = (hash + 0x6d2b79f5) | 0;
+  let t = Math.imul(hash ^ (hash >>> 15), 1 | hash);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function compileRule(raw, index) {
+  const name = raw.name || `rule${index + 1}`;
+  if (!Object.values(RULE_TYPES).includes(raw.type)) {
+    throw new Error(`Rule "${name}": type must be "damage" or "heal"`);
+  }
+  const amount = raw.amount === undefined ? 1 : raw.amount;
+  if (!Number.isInteger(amount) || amount < 1) {
+    throw new Error(`Rule "${name}": amount must be a positive whole number`);
+  }
+  const critChance = raw.critChance || 0;
+  if (typeof critChance !== 'number' || critChance < 0 || critChance > 1) {
+    throw new Error(`Rule "${name}": critChance must be between 0 and 1`);
+  }
+  const critMultiplier = raw.critMultiplier === undefined ? 2 : raw.critMultiplier;
+  if (typeof critMultiplier !== 'number' || critMultiplier < 1) {
+    throw new Error(`Rule "${name}": critMultiplier must be at least 1`);
+  }
+
+  const matchers = [];
+  const wholeWord = Boolean(raw.wholeWord);
+  for (const keyword of raw.keywords || []) {
+    const normalized = normalizeText(keyword).trim();
+    if (!normalized) continue;
+    if (wholeWord) {
+      const regex = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(normalized)}(?![\\p{L}\\p{N}_])`, 'u');
+      matchers.push(text => regex.test(text));
+    } else {
+      matchers.push(text => text.includes(normalized));
+    }
+  }
+  if (raw.pattern) {
+    let regex;
+    try {
+      regex = new RegExp(raw.pattern, raw.flags === undefined ? 'iu' : raw.flags);
+    } catch (error) {
+      throw new Error(`Rule "${name}": invalid pattern - ${error.message}`);
+    }
+    // Patterns see the message as typed, not upper-cased
+    matchers.push((text, original) => regex.test(original));
+  }
+  if (!matchers.length) {
+    throw new Error(`Rule "${name}": needs keywords or a pattern`);
+  }
+
+  return {
+    name,
+    type: raw.type,
+    amount,
+    priority: raw.priority || 0,
+    critChance,
+    critMultiplier,
+    keywords: raw.keywords || [],
+    pattern: raw.pattern || null,
+    wholeWord,
+    matches: (text, original) => matchers.some(matcher => matcher(text, original))
+  };
+}
+
+function compileCombo(raw) {
+  if (!raw) return null;
+  const combo = {
+    windowMs: raw.windowMs === undefined ? 3000 : raw.windowMs,
+    minStreak: raw.minStreak === undefined ? 3 : raw.minStreak,
+    bonus: raw.bonus === undefined ? 1 : raw.bonus,
+    maxBonus: raw.maxBonus === undefined ? 3 : raw.maxBonus
+  };
+  for (const [key, value] of Object.entries(combo)) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`combo.${key} must be a whole number of 0 or more`);
+    }
+  }
+  return combo;
+}
+
+class KeywordRules extends EventEmitter {
+  constructor({ filePath = null, triggerKeywords = [], healKeywords = [], random = Math.random }) {
+    super();
+    this.filePath = filePath;
+    this.triggerKeywords = triggerKeywords;
+    this.healKeywords = healKeywords;
+    this.random = random;
+    this.rules = [];
+    this.combo = null;
+    this.streaks = new Map(); // username -> { streak, lastAt }
+    this.watching = false;
+
+    this.load();
+  }
+
+  load() {
+    const config = this.filePath
+      ? JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      : {
+          rules: [
+            { name: 'hit', type: RULE_TYPES.DAMAGE, keywords: this.triggerKeywords },
+            { name: 'heal', type: RULE_TYPES.HEAL, keywords: this.healKeywords }
+          ]
+        };
+    if (!Array.isArray(config.rules) || !config.rules.length) {
+      throw new Error('Keyword rules file must have a non-empty "rules" array');
+    }
+
+    // Compile everything before swapping so a bad file never half-applies
+    const rules = config.rules.map(compileRule);
+    const combo = compileCombo(config.combo);
+    this.rules = rules;
+    this.combo = combo;
+  }
+
+  reload() {
+    try {
+      this.load();
+      console.log(`Keyword rules reloaded from ${this.filePath}: ${this.rules.length} rules`);
+      this.emit('reloaded', this.describe());
+    } catch (error) {
+      console.error(`Keeping previous keyword rules, ${this.filePath} is invalid:`, error.message);
+      this.emit('error', error);
+    }
+  }
+
+  watch() {
+    if (!this.filePath || this.watching) return;
+    this.watching = true;
+    // Polling survives editors that save by replacing the file
+    fs.watchFile(this.filePath, { interval: 1000 }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) this.reload();
+    });
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  // Returns the winning rule for a message, or null when nothing (or an
+  // ambiguous mix of damage and heal) matches
+  match(message) {
+    const text = normalizeText(message);
+    const matched = this.rules.filter(rule => rule.matches(text, message || ''));
+    if (!matched.length) return null;
+
+    const topPriority = Math.max(...matched.map(rule => rule.priority));
+    const top = matched.filter(rule => rule.priority === topPriority);
+    if (top.some(rule => rule.type !== top[0].type)) return null;
+    return top[0];
+  }
+
+  // True when the message is just one of the rules' keywords, e.g. "hit"
+  isKeyword(message) {
+    const text = normalizeText(message).trim();
+    return this.rules.some(rule => rule.keywords.some(keyword => normalizeText(keyword).trim() === text));
+  }
+
+  // Rolls crit and combo for a matched rule. Only call it for messages that
+  // actually count, since it advances the user's combo streak.
+  roll(username, rule, timestamp, random = this.random) {
+    let amount = rule.amount;
+    const crit = rule.critChance > 0 && random() < rule.critChance;
+    if (crit) amount = Math.round(amount * rule.critMultiplier);
+
+    let combo = 0;
+    if (rule.type === RULE_TYPES.DAMAGE) {
+      const previous = this.streaks.get(username);
+      const streak = previous && this.combo && timestamp - previous.lastAt <= this.combo.windowMs
+        ? previous.streak + 1
+        : 1;
+      this.streaks.set(username, { streak, lastAt: timestamp });
+
+      if (this.combo && streak >= this.combo.minStreak) {
+        const bonus = Math.min(this.combo.maxBonus, (streak - this.combo.minStreak + 1) * this.combo.bonus);
+        if (bonus > 0) {
+          amount += bonus;
+          combo = streak;
+        }
+      }
+    } else {
+      // A heal breaks the healer's own damage streak
+      this.streaks.delete(username);
+    }
+
+    return {
+      delta: rule.type === RULE_TYPES.DAMAGE ? -amount : amount,
+      crit,
+      combo
+    };
+  }
+
+  resetRound() {
+    this.streaks.clear();
+  }
+
+  describe() {
+    return {
+      rules: this.rules.map(({ name, type, amount, priority, critChance, critMultiplier, keywords, pattern, wholeWord }) => ({
+        name, type, amount, priority, critChance, critMultiplier, keywords, pattern, wholeWord
+      })),
+      combo: this.combo
+    };
+  }
+}
+
+module.exports = { KeywordRules, RULE_TYPES, normalizeText, seededRandom };
@@ -0,0 +1,152 @@
+/**
+ * leaderboards.js - Damage leaderboards that outlive a fight
+ *
+ * Every finished round is appended to an NDJSON file (roundId, coin, end
+ * time, outcome, last hitter, hits per user) and added to per-coin tallies
+ * for three periods:
+ *   all     - every round so far
+ *   week    - the current week, Monday 00:00 UTC onwards
+ *   season  - seasonLengthDays-long seasons counted from seasonStart
+ * Each user's tally holds their total damage, last hits (the blow that
+ * defeated a boss), fights they dealt damage in and boss kills (fights they
+ * were in that ended with the boss defeated). On boot the file is replayed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEADERBOARD_PERIODS = {
+  ALL_TIME: 'all',
+  WEEK: 'week',
+  SEASON: 'season'
+};
+
+const LEADERBOARD_SORTS = ['damage', 'lastHits', 'fights', 'bossKills'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class Leaderboards {
+  constructor({ filePath, seasonStart, seasonLengthDays = 28 }) {
+    if (!Number.isFinite(seasonStart)) throw new Error('Season start must be a date');
+    if (!(seasonLengthDays > 0)) throw new Error('Season length must be a positive number of days');
+    this.filePath = filePath;
+    this.seasonStart = seasonStart;
+    this.seasonLengthMs = seasonLengthDays * DAY_MS;
+    this.roundIds = new Set();
+    this.boards = new Map(); // `${coin}|${periodKey}` -> Map(username -> tally)
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        this.apply(JSON.parse(line));
+      } catch (error) {
+        // A torn last line from a crash mid-write; everything before it is intact
+        console.warn('Skipping unreadable leaderboard line');
+      }
+    }
+  }
+
+  // Monday 00:00 UTC of the week `time` falls in
+  weekStart(time) {
+    const date = new Date(time);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday);
+  }
+
+  season(time) {
+    const index = Math.floor((time - this.seasonStart) / this.seasonLengthMs);
+    const start = this.seasonStart + index * this.seasonLengthMs;
+    return { number: index + 1, start, end: start + this.seasonLengthMs };
+  }
+
+  // Where a period that contains `time` begins and ends
+  window(period, time) {
+    switch (period) {
+      case LEADERBOARD_PERIODS.WEEK: {
+        const start = this.weekStart(time);
+        return { key: `week:${start}`, start, end: start + 7 * DAY_MS };
+      }
+      case LEADERBOARD_PERIODS.SEASON: {
+        const season = this.season(time);
+        return { key: `season:${season.number}`, start: season.start, end: season.end, season: season.number };
+      }
+      default:
+        return { key: 'all', start: null, end: null };
+    }
+  }
+
+  apply(round) {
+    if (this.roundIds.has(round.roundId)) return false;
+    this.roundIds.add(round.roundId);
+
+    for (const period of Object.values(LEADERBOARD_PERIODS)) {
+      const boardKey = `${round.coin}|${this.window(period, round.endedAt).key}`;
+      if (!this.boards.has(boardKey)) this.boards.set(boardKey, new Map());
+      const board = this.boards.get(boardKey);
+      const tally = (username) => {
+        if (!board.has(username)) board.set(username, { username, damage: 0, lastHits: 0, fights: 0, bossKills: 0 });
+        return board.get(username);
+      };
+
+      for (const { username, hits } of round.scores) {
+        const entry = tally(username);
+        entry.damage += hits;
+        entry.fights++;
+        if (round.bossDefeated) entry.bossKills++;
+      }
+      if (round.bossDefeated && round.lastHitter) tally(round.lastHitter).lastHits++;
+    }
+    return true;
+  }
+
+  // round: { roundId, coin, endedAt, bossDefeated, lastHitter, scores: [{ username, hits }] }
+  // A round that is already counted (finished again after a restart) is ignored
+  recordRound(round) {
+    if (!this.apply(round)) return false;
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(round) + '\n', 'utf8');
+    } catch (error) {
+      console.error('Error saving leaderboard round:', error.message);
+    }
+    return true;
+  }
+
+  // The `limit` best of a coin in the period around `now`, ranked by `sort`
+  top({ coin, period = LEADERBOARD_PERIODS.ALL_TIME, sort = 'damage', limit = 10, now = Date.now() }) {
+    const window = this.window(period, now);
+    const board = this.boards.get(`${coin}|${window.key}`) || new Map();
+    const entries = Array.from(board.values())
+      .sort((a, b) => (b[sort] - a[sort]) || (b.damage - a.damage) || a.username.localeCompare(b.username))
+      .slice(0, limit)
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+    return {
+      period,
+      sort,
+      from: window.start,
+      to: window.end,
+      season: window.season || null,
+      players: board.size,
+      entries
+    };
+  }
+
+  // Damage rankings of every period, as the overlay shows them
+  snapshot(coin, limit = 10) {
+    const snapshot = {};
+    for (const period of Object.values(LEADERBOARD_PERIODS)) {
+      snapshot[period] = this.top({ coin, period, limit });
+    }
+    return snapshot;
+  }
+}
+
+module.exports = { Leaderboards, LEADERBOARD_PERIODS, LEADERBOARD_SORTS };
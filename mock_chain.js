@@ -0,0 +1,686 @@
+/**
+ * mock_chain.js - Offline stand-in for Solana RPC and the boss_fight_betting program
+ *
+ * MockConnection implements the parts of web3.js Connection that server.js and
+ * Anchor use, and executes the seven IDL instructions against in-memory
+ * accounts. The real Anchor Program/Provider run on top of it unchanged:
+ * - transactions are deserialized and decoded with the IDL instruction coder
+ * - accounts are stored Borsh-encoded, so fetch/getProgramAccounts behave as on-chain
+ * - failures are reported as program logs in Anchor's format, so callers see
+ *   the same AnchorError codes (BettingStillActive, PayoutAlreadyClaimed, ...)
+ * - lamports are tracked for escrow, bettors, authority and treasury
+ *
+ * Signatures are not verified; unknown wallets are airdropped a starting balance.
+ * With a stateFile the ledger (accounts and transactions) survives restarts, so
+ * round resume and bet verification can be exercised offline too. It is
+ * written at most once a second and on flush(). Enabled with SOLANA_MODE=mock.
+ *
+ * The program id defaults to the IDL's address; server.js passes PROGRAM_ID so
+ * PDAs derived by the server are the ones the mock creates.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const bs58 = require('bs58');
+const {
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  LAMPORTS_PER_SOL,
+  SendTransactionError
+} = require('@solana/web3.js');
+const { BorshCoder, BN } = require('@coral-xyz/anchor');
+
+const MAX_USERNAME_LENGTH = 32;
+const BLOCKHASH_VALIDITY = 150; // blocks
+const SLOT_MS = 400;
+const SAVE_DELAY_MS = 1000; // a burst of transactions costs one ledger write
+
+class MockProgramError extends Error {
+  constructor(logs, instructionIndex, customCode) {
+    super(logs[logs.length - 1] || 'Program failed');
+    this.logs = logs;
+    this.instructionError = { InstructionError: [instructionIndex, { Custom: customCode }] };
+  }
+}
+
+function toPascalCase(name) {
+  return name.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+function variantName(enumValue) {
+  return Object.keys(enumValue)[0];
+}
+
+// Every account a transaction touches, for getSignaturesForAddress
+function transactionAccounts(tx) {
+  const keys = tx.instructions.flatMap(ix => ix.keys.map(key => key.pubkey.toBase58()));
+  return Array.from(new Set(keys));
+}
+
+function roundIdSeed(roundId) {
+  return new BN(roundId).toArrayLike(Buffer, 'le', 8);
+}
+
+class MockConnection {
+  constructor({ idl, programId = idl.address, stateFile = null, airdropLamports = 10 * LAMPORTS_PER_SOL, minBetLamports = 0.001 * LAMPORTS_PER_SOL }) {
+    this.idl = idl;
+    this.programId = new PublicKey(programId);
+    this.coder = new BorshCoder(idl);
+    this.rpcEndpoint = 'mock://boss-fight-betting';
+    this.commitment = 'confirmed';
+    this.airdropLamports = airdropLamports;
+    this.minBetLamports = minBetLamports;
+
+    this.accounts = new Map();     // base58 -> { lamports, owner, data }
+    this.transactions = new Map(); // signature -> { slot, blockTime, err, logs, accounts }
+    this.logsListeners = new Map(); // id -> { filter, callback }
+    this.nextLogsListenerId = 0;
+    this.genesis = Date.now();
+
+    this.errors = new Map(idl.errors.map(e => [e.name, e]));
+    this.instructions = new Map(idl.instructions.map(ix => [ix.name, ix]));
+    this.eventDiscriminators = new Map(idl.events.map(e => [e.name, Buffer.from(e.discriminator)]));
+
+    this.stateFile = stateFile;
+    this.saveTimer = null;
+    if (stateFile && fs.existsSync(stateFile)) this.loadState();
+  }
+
+  loadState() {
+    const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    this.genesis = saved.genesis;
+    this.accounts = new Map(Object.entries(saved.accounts).map(([address, account]) => [address, {
+      lamports: account.lamports,
+      owner: new PublicKey(account.owner),
+      data: Buffer.from(account.data, 'base64')
+    }]));
+    this.transactions = new Map(Object.entries(saved.transactions || {}));
+    console.log(`Mock chain restored ${this.accounts.size} accounts and ${this.transactions.size} transactions from ${this.stateFile}`);
+  }
+
+  scheduleSave() {
+    if (!this.stateFile || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveState();
+    }, SAVE_DELAY_MS);
+  }
+
+  // Writes pending changes now, e.g. before the process exits
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.saveState();
+  }
+
+  saveState() {
+    if (!this.stateFile) return;
+    const accounts = {};
+    for (const [address, account] of this.accounts) {
+      accounts[address] = {
+        lamports: account.lamports,
+        owner: account.owner.toBase58(),
+        data: account.data.toString('base64')
+      };
+    }
+    const tmpPath = `${this.stateFile}.tmp`;
+    const transactions = Object.fromEntries(this.transactions);
+    fs.writeFileSync(tmpPath, JSON.stringify({ genesis: this.genesis, accounts, transactions }), 'utf8');
+    fs.renameSync(tmpPath, this.stateFile);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Connection API
+  // ---------------------------------------------------------------------------
+
+  getSlot() {
+    return Promise.resolve(Math.floor((Date.now() - this.genesis) / SLOT_MS));
+  }
+
+  async getBlockHeight() {
+    return this.getSlot();
+  }
+
+  async getLatestBlockhash() {
+    const blockHeight = await this.getBlockHeight();
+    return {
+      blockhash: bs58.encode(crypto.randomBytes(32)),
+      lastValidBlockHeight: blockHeight + BLOCKHASH_VALIDITY
+    };
+  }
+
+  async getBalance(pubkey) {
+    return this.ensureWallet(pubkey).lamports;
+  }
+
+  async requestAirdrop(pubkey, lamports) {
+    this.ensureWallet(pubkey).lamports += lamports;
+    return this.recordTransaction(bs58.encode(crypto.randomBytes(64)), null, [], [new PublicKey(pubkey).toBase58()]);
+  }
+
+  async getAccountInfo(pubkey) {
+    const account = this.accounts.get(new PublicKey(pubkey).toBase58());
+    return account ? this.toAccountInfo(account) : null;
+  }
+
+  async getAccountInfoAndContext(pubkey) {
+    return { context: { slot: await this.getSlot() }, value: await this.getAccountInfo(pubkey) };
+  }
+
+  async getMultipleAccountsInfo(pubkeys) {
+    return Promise.all(pubkeys.map(pubkey => this.getAccountInfo(pubkey)));
+  }
+
+  async getMultipleAccountsInfoAndContext(pubkeys) {
+    return { context: { slot: await this.getSlot() }, value: await this.getMultipleAccountsInfo(pubkeys) };
+  }
+
+  async getProgramAccounts(programId, config = {}) {
+    const owner = new PublicKey(programId);
+    const filters = (config && config.filters) || [];
+    const results = [];
+
+    for (const [address, account] of this.accounts) {
+      if (!account.owner.equals(owner)) continue;
+      if (!filters.every(filter => this.matchesFilter(account.data, filter))) continue;
+      results.push({ pubkey: new PublicKey(address), account: this.toAccountInfo(account) });
+    }
+    return results;
+  }
+
+  async sendRawTransaction(rawTransaction, options = {}) {
+    const tx = Transaction.from(rawTransaction);
+    const signature = tx.signature ? bs58.encode(tx.signature) : bs58.encode(crypto.randomBytes(64));
+    // A rebroadcast of a transaction that already landed is dropped, as on-chain
+    if (this.transactions.has(signature)) return signature;
+
+    try {
+      const logs = this.execute(tx);
+      this.recordTransaction(signature, null, logs, transactionAccounts(tx));
+    } catch (error) {
+      if (!(error instanceof MockProgramError)) throw error;
+      if (!options.skipPreflight) {
+        throw new SendTransactionError({
+          action: 'simulate',
+          signature: '',
+          transactionMessage: `Transaction simulation failed: Error processing Instruction ${error.instructionError.InstructionError[0]}: custom program error: 0x${error.instructionError.InstructionError[1].Custom.toString(16)}`,
+          logs: error.logs
+        });
+      }
+      this.recordTransaction(signature, error.instructionError, error.logs, transactionAccounts(tx));
+    }
+    return signature;
+  }
+
+  // Runs the transaction and rolls every change back. Accepts a legacy or
+  // versioned (legacy message) transaction; signatures are not checked.
+  async simulateTransaction(transaction) {
+    const tx = transaction instanceof Transaction ? transaction : Transaction.from(transaction.serialize());
+    const saved = new Map(
+      Array.from(this.accounts, ([address, account]) => [address, { ...account, data: Buffer.from(account.data) }])
+    );
+    let err = null;
+    let logs;
+    try {
+      logs = this.execute(tx);
+    } catch (error) {
+      if (!(error instanceof MockProgramError)) throw error;
+      err = error.instructionError;
+      logs = error.logs;
+    } finally {
+      this.accounts = saved;
+    }
+    return {
+      context: { slot: await this.getSlot() },
+      value: { err, logs, accounts: null, unitsConsumed: 5000 * tx.instructions.length, returnData: null }
+    };
+  }
+
+  async confirmTransaction(strategy) {
+    const signature = typeof strategy === 'string' ? strategy : strategy.signature;
+    const record = this.transactions.get(signature);
+    return {
+      context: { slot: await this.getSlot() },
+      value: { err: record ? record.err : null }
+    };
+  }
+
+  async getSignatureStatuses(signatures) {
+    const slot = await this.getSlot();
+    return {
+      context: { slot },
+      value: signatures.map(signature => {
+        const record = this.transactions.get(signature);
+        return record
+          ? { slot: record.slot, confirmations: null, err: record.err, confirmationStatus: 'finalized' }
+          : null;
+      })
+    };
+  }
+
+  async getSignatureStatus(signature) {
+    const { context, value } = await this.getSignatureStatuses([signature]);
+    return { context, value: value[0] };
+  }
+
+  // Like the RPC logsSubscribe: called for every recorded transaction that
+  // mentions the filter's program ("all" for every transaction)
+  onLogs(filter, callback) {
+    const id = this.nextLogsListenerId++;
+    this.logsListeners.set(id, { filter, callback });
+    return id;
+  }
+
+  async removeOnLogsListener(id) {
+    this.logsListeners.delete(id);
+  }
+
+  // Newest first, like the RPC method
+  async getSignaturesForAddress(address, options = {}) {
+    const key = new PublicKey(address).toBase58();
+    const signatures = [];
+    for (const [signature, record] of this.transactions) {
+      if (!(record.accounts || []).includes(key)) continue;
+      signatures.push({ signature, slot: record.slot, err: record.err, memo: null, blockTime: record.blockTime });
+    }
+    return signatures.reverse().slice(0, options.limit || 1000);
+  }
+
+  async getTransaction(signature) {
+    const record = this.transactions.get(signature);
+    if (!record) return null;
+    return {
+      slot: record.slot,
+      blockTime: record.blockTime,
+      meta: { err: record.err, fee: 0, logMessages: record.logs }
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Ledger helpers
+  // ---------------------------------------------------------------------------
+
+  ensureWallet(pubkey) {
+    const address = new PublicKey(pubkey).toBase58();
+    if (!this.accounts.has(address)) {
+      this.accounts.set(address, {
+        lamports: this.airdropLamports,
+        owner: SystemProgram.programId,
+        data: Buffer.alloc(0)
+      });
+    }
+    return this.accounts.get(address);
+  }
+
+  toAccountInfo(account) {
+    return {
+      data: Buffer.from(account.data),
+      executable: false,
+      lamports: account.lamports,
+      owner: account.owner,
+      rentEpoch: 0
+    };
+  }
+
+  matchesFilter(data, filter) {
+    if (filter.dataSize !== undefined) return data.length === filter.dataSize;
+    if (filter.memcmp) {
+      const bytes = Buffer.from(bs58.decode(filter.memcmp.bytes));
+      const offset = filter.memcmp.offset;
+      return data.length >= offset + bytes.length && data.subarray(offset, offset + bytes.length).equals(bytes);
+    }
+    return true;
+  }
+
+  recordTransaction(signature, err, logs, accounts = []) {
+    const slot = Math.floor((Date.now() - this.genesis) / SLOT_MS);
+    this.transactions.set(signature, {
+      slot,
+      blockTime: Math.floor(Date.now() / 1000),
+      err,
+      logs,
+      accounts
+    });
+    this.scheduleSave();
+    if (logs.length) setImmediate(() => this.notifyLogs({ signature, err, logs }, { slot }));
+    return signature;
+  }
+
+  notifyLogs(logsResult, context) {
+    for (const { filter, callback } of this.logsListeners.values()) {
+      const mentioned = filter === 'all' || filter === 'allWithVotes' ||
+        logsResult.logs.some(line => line.startsWith(`Program ${new PublicKey(filter).toBase58()} invoke`));
+      if (mentioned) callback(logsResult, context);
+    }
+  }
+
+  // Runs every instruction of a transaction atomically: any failure rolls
+  // back all account changes made by the earlier instructions.
+  execute(tx) {
+    const snapshot = new Map(
+      Array.from(this.accounts, ([address, account]) => [address, { ...account, data: Buffer.from(account.data) }])
+    );
+    const logs = [];
+
+    try {
+      tx.instructions.forEach((ix, index) => {
+        if (!ix.programId.equals(this.programId)) return;
+        this.executeInstruction(ix, index, logs);
+      });
+    } catch (error) {
+      this.accounts = snapshot;
+      throw error;
+    }
+    return logs;
+  }
+
+  executeInstruction(ix, index, logs) {
+    const programId = this.programId.toBase58();
+    const decoded = this.coder.instruction.decode(ix.data);
+    if (!decoded) {
+      logs.push(`Program ${programId} invoke [1]`);
+      this.fail(logs, index, 'InstructionFallbackNotFound', 101, 'Fallback functions are not supported');
+    }
+
+    const idlIx = this.instructions.get(decoded.name);
+    const accounts = {};
+    idlIx.accounts.forEach((meta, i) => {
+      accounts[meta.name] = ix.keys[i];
+    });
+
+    logs.push(`Program ${programId} invoke [1]`);
+    logs.push(`Program log: Instruction: ${toPascalCase(decoded.name)}`);
+
+    const ctx = { accounts, args: decoded.data, logs, index, now: Math.floor(Date.now() / 1000) };
+    this.handlers[decoded.name].call(this, ctx);
+
+    logs.push(`Program ${programId} consumed 5000 of 200000 compute units`);
+    logs.push(`Program ${programId} success`);
+  }
+
+  fail(logs, index, code, number, message, accountName) {
+    const origin = accountName ? `caused by account: ${accountName}` : 'occurred';
+    logs.push(`Program log: AnchorError ${origin}. Error Code: ${code}. Error Number: ${number}. Error Message: ${message}.`);
+    logs.push(`Program ${this.programId.toBase58()} failed: custom program error: 0x${number.toString(16)}`);
+    throw new MockProgramError(logs, index, number);
+  }
+
+  require(ctx, condition, errorName) {
+    if (condition) return;
+    const { code, msg } = this.errors.get(errorName);
+    this.fail(ctx.logs, ctx.index, errorName, code, msg);
+  }
+
+  requireSigner(ctx, name) {
+    if (!ctx.accounts[name].isSigner) {
+      this.fail(ctx.logs, ctx.index, 'AccountNotSigner', 3010, 'The given account did not sign', name);
+    }
+  }
+
+  requirePda(ctx, name, seeds) {
+    const [expected] = PublicKey.findProgramAddressSync(seeds, this.programId);
+    if (!ctx.accounts[name].pubkey.equals(expected)) {
+      this.fail(ctx.logs, ctx.index, 'ConstraintSeeds', 2006, 'A seeds constraint was violated', name);
+    }
+    return expected;
+  }
+
+  systemFailure(ctx, message, customCode) {
+    ctx.logs.push(`Program ${SystemProgram.programId.toBase58()} invoke [2]`);
+    ctx.logs.push(message);
+    ctx.logs.push(`Program ${SystemProgram.programId.toBase58()} failed: custom program error: 0x${customCode.toString(16)}`);
+    throw new MockProgramError(ctx.logs, ctx.index, customCode);
+  }
+
+  createAccount(ctx, name, owner, data = Buffer.alloc(0)) {
+    const address = ctx.accounts[name].pubkey.toBase58();
+    if (this.accounts.has(address)) {
+      this.systemFailure(ctx, `Allocate: account Address { address: ${address}, base: None } already in use`, 0);
+    }
+    this.accounts.set(address, { lamports: 0, owner, data });
+  }
+
+  transfer(ctx, from, to, lamports) {
+    const source = this.ensureWallet(from);
+    if (source.lamports < lamports) {
+      this.systemFailure(ctx, `Transfer: insufficient lamports ${source.lamports}, need ${lamports}`, 1);
+    }
+    source.lamports -= lamports;
+    this.ensureWallet(to).lamports += lamports;
+  }
+
+  loadAccount(ctx, name, accountType) {
+    const account = this.accounts.get(ctx.accounts[name].pubkey.toBase58());
+    if (!account || !account.owner.equals(this.programId)) {
+      this.fail(ctx.logs, ctx.index, 'AccountNotInitialized', 3012, 'The program expected this account to be already initialized', name);
+    }
+    return this.coder.accounts.decode(accountType, account.data);
+  }
+
+  // Account encoding is async in Anchor's coder but synchronous underneath; use
+  // the layout directly so instruction handlers stay synchronous.
+  storeAccount(ctx, name, accountType, value) {
+    const account = this.accounts.get(ctx.accounts[name].pubkey.toBase58());
+    const layout = this.coder.accounts.accountLayouts.get(accountType);
+    const buffer = Buffer.alloc(1000);
+    const length = layout.layout.encode(value, buffer);
+    const discriminator = Buffer.from(this.idl.accounts.find(a => a.name === accountType).discriminator);
+    account.data = Buffer.concat([discriminator, buffer.subarray(0, length)]);
+  }
+
+  emitEvent(ctx, eventName, data) {
+    const payload = this.coder.types.encode(eventName, data);
+    const encoded = Buffer.concat([this.eventDiscriminators.get(eventName), payload]).toString('base64');
+    ctx.logs.push(`Program data: ${encoded}`);
+  }
+
+  requireAuthority(ctx, round) {
+    this.requireSigner(ctx, 'authority');
+    this.require(ctx, ctx.accounts.authority.pubkey.equals(round.authority), 'Unauthorized');
+  }
+
+  computePayout(round, bet) {
+    const deathWon = round.boss_defeated;
+    const totalWinnerBets = (deathWon ? round.total_death_bets : round.total_survival_bets).toNumber();
+    const totalLoserBets = (deathWon ? round.total_survival_bets : round.total_death_bets).toNumber();
+    const feeAmount = Math.floor(totalLoserBets * round.fee_percentage / 100);
+    const prizePool = totalLoserBets - feeAmount;
+    const betAmount = bet.amount.toNumber();
+    const prizeShare = Math.floor((prizePool * betAmount) / totalWinnerBets);
+    return { originalBet: betAmount, prizeShare, totalPayout: betAmount + prizeShare };
+  }
+}
+
+// Instruction handlers, keyed by IDL instruction name
+MockConnection.prototype.handlers = {
+  initialize_betting_round(ctx) {
+    const { round_id, betting_duration, fight_duration, initial_hp, fee_percentage } = ctx.args;
+    this.requireSigner(ctx, 'authority');
+    this.requirePda(ctx, 'betting_round', [Buffer.from('betting_round'), roundIdSeed(round_id)]);
+    const [, escrowBump] = PublicKey.findProgramAddressSync([Buffer.from('escrow'), roundIdSeed(round_id)], this.programId);
+    this.requirePda(ctx, 'escrow', [Buffer.from('escrow'), roundIdSeed(round_id)]);
+
+    const bettingEndTime = ctx.now + betting_duration.toNumber();
+    this.createAccount(ctx, 'betting_round', this.programId);
+    this.createAccount(ctx, 'escrow', SystemProgram.programId);
+    this.storeAccount(ctx, 'betting_round', 'BettingRound', {
+      round_id,
+      authority: ctx.accounts.authority.pubkey,
+      treasury: ctx.accounts.treasury.pubkey,
+      betting_start_time: new BN(ctx.now),
+      betting_end_time: new BN(bettingEndTime),
+      fight_end_time: new BN(bettingEndTime + fight_duration.toNumber()),
+      initial_hp,
+      current_hp: initial_hp,
+      fee_percentage,
+      phase: { Betting: {} },
+      total_death_bets: new BN(0),
+      total_survival_bets: new BN(0),
+      total_bets_count: new BN(0),
+      boss_defeated: false,
+      payouts_processed: false,
+      escrow_bump: escrowBump
+    });
+
+    this.emitEvent(ctx, 'BettingRoundInitialized', {
+      round_id,
+      betting_end_time: new BN(bettingEndTime),
+      fight_end_time: new BN(bettingEndTime + fight_duration.toNumber())
+    });
+  },
+
+  place_bet(ctx) {
+    const { amount, prediction, username } = ctx.args;
+    const round = this.loadAccount(ctx, 'betting_round', 'BettingRound');
+    this.requireSigner(ctx, 'bettor');
+    this.requirePda(ctx, 'escrow', [Buffer.from('escrow'), roundIdSeed(round.round_id)]);
+    this.requirePda(ctx, 'bet_account', [
+      Buffer.from('bet'),
+      roundIdSeed(round.round_id),
+      ctx.accounts.bettor.pubkey.toBuffer()
+    ]);
+
+    this.require(ctx, variantName(round.phase) === 'Betting', 'NotInBettingPhase');
+    this.require(ctx, ctx.now < round.betting_end_time.toNumber(), 'BettingPeriodExpired');
+    this.require(ctx, amount.toNumber() >= this.minBetLamports, 'BetTooSmall');
+    this.require(ctx, username.length <= MAX_USERNAME_LENGTH, 'UsernameTooLong');
+
+    this.createAccount(ctx, 'bet_account', this.programId);
+    this.transfer(ctx, ctx.accounts.bettor.pubkey, ctx.accounts.escrow.pubkey, amount.toNumber());
+
+    this.storeAccount(ctx, 'bet_account', 'BetAccount', {
+      bettor: ctx.accounts.bettor.pubkey,
+      round_id: round.round_id,
+      amount,
+      prediction,
+      username,
+      timestamp: new BN(ctx.now),
+      payout_claimed: false
+    });
+
+    if (variantName(prediction) === 'Death') {
+      round.total_death_bets = round.total_death_bets.add(amount);
+    } else {
+      round.total_survival_bets = round.total_survival_bets.add(amount);
+    }
+    round.total_bets_count = round.total_bets_count.addn(1);
+    this.storeAccount(ctx, 'betting_round', 'BettingRound', round);
+
+    this.emitEvent(ctx, 'BetPlaced', {
+      round_id: round.round_id,
+      bettor: ctx.accounts.bettor.pubkey,
+      amount,
+      prediction,
+      username
+    });
+  },
+
+  start_fight_phase(ctx) {
+    const round = this.loadAccount(ctx, 'betting_round', 'BettingRound');
+    this.requireAuthority(ctx, round);
+    this.require(ctx, variantName(round.phase) === 'Betting', 'NotInBettingPhase');
+    this.require(ctx, ctx.now >= round.betting_end_time.toNumber(), 'BettingStillActive');
+
+    const fightDuration = round.fight_end_time.toNumber() - round.betting_end_time.toNumber();
+    round.phase = { Fighting: {} };
+    round.fight_end_time = new BN(ctx.now + fightDuration);
+    this.storeAccount(ctx, 'betting_round', 'BettingRound', round);
+
+    this.emitEvent(ctx, 'FightPhaseStarted', { round_id: round.round_id, fight_end_time: round.fight_end_time });
+  },
+
+  update_boss_hp(ctx) {
+    const round = this.loadAccount(ctx, 'betting_round', 'BettingRound');
+    this.requireAuthority(ctx, round);
+    this.require(ctx, variantName(round.phase) === 'Fighting', 'NotInFightPhase');
+    this.require(ctx, ctx.now <= round.fight_end_time.toNumber(), 'FightPeriodExpired');
+
+    round.current_hp = Math.min(ctx.args.new_hp, round.initial_hp);
+    this.storeAccount(ctx, 'betting_round', 'BettingRound', round);
+
+    this.emitEvent(ctx, 'BossHpUpdated', { round_id: round.round_id, new_hp: round.current_hp });
+  },
+
+  end_fight(ctx) {
+    const finalHp = ctx.args.final_hp.toNumber();
+    const round = this.loadAccount(ctx, 'betting_round', 'BettingRound');
+    this.requireAuthority(ctx, round);
+    this.require(ctx, variantName(round.phase) === 'Fighting', 'NotInFightPhase');
+    // A fight can only end early when the boss is dead
+    this.require(ctx, finalHp === 0 || ctx.now >= round.fight_end_time.toNumber(), 'FightNotFinished');
+
+    round.phase = { Ended: {} };
+    round.current_hp = Math.min(finalHp, round.initial_hp);
+    round.boss_defeated = finalHp === 0;
+    this.storeAccount(ctx, 'betting_round', 'BettingRound', round);
+
+    this.emitEvent(ctx, 'FightEnded', { round_id: round.round_id, boss_defeated: round.boss_defeated });
+  },
+
+  claim_payout(ctx) {
+    const round = this.loadAccount(ctx, 'betting_round', 'BettingRound');
+    this.requireAuthority(ctx, round);
+    this.requirePda(ctx, 'escrow', [Buffer.from('escrow'), roundIdSeed(round.round_id)]);
+    this.require(ctx, variantName(round.phase) === 'Ended', 'FightNotEnded');
+
+    const bet = this.loadAccount(ctx, 'bet_account', 'BetAccount');
+    this.require(ctx, bet.round_id.eq(round.round_id), 'InvalidAccount');
+    this.require(ctx, bet.bettor.equals(ctx.accounts.bettor.pubkey), 'InvalidAccount');
+    this.require(ctx, !bet.payout_claimed, 'PayoutAlreadyClaimed');
+
+    const winningSide = round.boss_defeated ? 'Death' : 'Survival';
+    this.require(ctx, variantName(bet.prediction) === winningSide, 'BetLost');
+
+    const { originalBet, prizeShare, totalPayout } = this.computePayout(round, bet);
+    const escrow = this.ensureWallet(ctx.accounts.escrow.pubkey);
+    this.require(ctx, escrow.lamports >= totalPayout, 'InsufficientEscrowFunds');
+    this.transfer(ctx, ctx.accounts.escrow.pubkey, ctx.accounts.bettor.pubkey, totalPayout);
+
+    bet.payout_claimed = true;
+    this.storeAccount(ctx, 'bet_account', 'BetAccount', bet);
+
+    this.emitEvent(ctx, 'PayoutClaimed', {
+      round_id: round.round_id,
+      bettor: bet.bettor,
+      original_bet: new BN(originalBet),
+      prize_share: new BN(prizeShare),
+      total_payout: new BN(totalPayout)
+    });
+  },
+
+  claim_fees(ctx) {
+    const round = this.loadAccount(ctx, 'betting_round', 'BettingRound');
+    this.requireAuthority(ctx, round);
+    this.requirePda(ctx, 'escrow', [Buffer.from('escrow'), roundIdSeed(round.round_id)]);
+    this.require(ctx, variantName(round.phase) === 'Ended', 'FightNotEnded');
+    this.require(ctx, ctx.accounts.treasury.pubkey.equals(round.treasury), 'InvalidAccount');
+    this.require(ctx, !round.payouts_processed, 'PayoutAlreadyClaimed');
+
+    const deathWon = round.boss_defeated;
+    const totalWinnerBets = (deathWon ? round.total_death_bets : round.total_survival_bets).toNumber();
+    const totalLoserBets = (deathWon ? round.total_survival_bets : round.total_death_bets).toNumber();
+    const escrow = this.ensureWallet(ctx.accounts.escrow.pubkey);
+
+    // With no winners nobody can claim the losing pool, so it all goes to the treasury
+    const amount = totalWinnerBets === 0
+      ? escrow.lamports
+      : Math.min(escrow.lamports, Math.floor(totalLoserBets * round.fee_percentage / 100));
+    this.transfer(ctx, ctx.accounts.escrow.pubkey, ctx.accounts.treasury.pubkey, amount);
+
+    round.payouts_processed = true;
+    this.storeAccount(ctx, 'betting_round', 'BettingRound', round);
+
+    this.emitEvent(ctx, 'FeesClaimed', {
+      round_id: round.round_id,
+      treasury: ctx.accounts.treasury.pubkey,
+      amount: new BN(amount)
+    });
+  }
+};
+
+module.exports = {
+  MockConnection,
+  MockProgramError
+};
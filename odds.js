@@ -0,0 +1,48 @@
+/**
+ * odds.js - Payout odds from the current betting pools
+ *
+ * Follows the split processPayouts makes when a round settles: the losing
+ * pool minus fee_percentage goes to the winners in proportion to their bets,
+ * and every winner gets their own bet back on top. A projection adds the
+ * hypothetical bet to its side first, since it dilutes that side's share.
+ * Amounts in lamports.
+ */
+
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+// The bet the overlay's buttons place, used for the odds in betting_update
+const REFERENCE_BET_LAMPORTS = 0.1 * LAMPORTS_PER_SOL;
+
+// What the losing side leaves for the winners once the fee is taken
+function poolAfterFees(losingPool, feePercentage) {
+  return losingPool - Math.floor(losingPool * feePercentage / 100);
+}
+
+// Total payout (bet included) for betting `amount` on a side, should that side win
+function projectPayout({ sidePool, otherPool, feePercentage, amount }) {
+  const prizePool = poolAfterFees(otherPool, feePercentage);
+  return amount + Math.floor((prizePool * amount) / (sidePool + amount));
+}
+
+function sideOdds(sidePool, otherPool, feePercentage, amount) {
+  const projectedPayout = projectPayout({ sidePool, otherPool, feePercentage, amount });
+  return {
+    pool: sidePool / LAMPORTS_PER_SOL,
+    winnings: poolAfterFees(otherPool, feePercentage) / LAMPORTS_PER_SOL,
+    multiplier: Math.floor((projectedPayout / amount) * 100) / 100,
+    projectedPayout: projectedPayout / LAMPORTS_PER_SOL
+  };
+}
+
+// Odds of both sides for a hypothetical bet of `amount`, in SOL for clients
+function calculateOdds({ totalDeathBets, totalSurvivalBets, feePercentage, amount = REFERENCE_BET_LAMPORTS }) {
+  return {
+    amount: amount / LAMPORTS_PER_SOL,
+    feePercentage,
+    totalPool: (totalDeathBets + totalSurvivalBets) / LAMPORTS_PER_SOL,
+    death: sideOdds(totalDeathBets, totalSurvivalBets, feePercentage, amount),
+    survival: sideOdds(totalSurvivalBets, totalDeathBets, feePercentage, amount)
+  };
+}
+
+module.exports = { REFERENCE_BET_LAMPORTS, calculateOdds, projectPayout, poolAfterFees };
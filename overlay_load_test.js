@@ -1,63 +1,79 @@
 // overlay_load_test.js
+// Connects many overlay clients to a coin's room and measures the 'update'
+// broadcasts they receive: messages per second, hits per second and latency
+// (receive time minus the server's `sentAt`, so run it on the server machine).
+//   SERVER_URL=http://localhost:3000 NUM_CLIENTS=1000 COIN=<address> node overlay_load_test.js
 const { io } = require("socket.io-client");
 
-// 1. **CRITICAL:** Replace with the URL and Port of your server's Socket.IO instance
-const SERVER_URL = 'http://localhost:3000'; 
-
-// 2. Adjust for the desired load
-const NUM_CLIENTS = 1000; // Simulate 1000 concurrent overlays
+const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3000';
+const NUM_CLIENTS = process.env.NUM_CLIENTS ? Number(process.env.NUM_CLIENTS) : 1000; // concurrent overlays
+const COIN = process.env.COIN || ''; // empty joins the server's default coin
+const DURATION_SECONDS = process.env.DURATION_SECONDS ? Number(process.env.DURATION_SECONDS) : 30;
 
 const clients = [];
+let connected = 0;
 let totalLatency = 0;
-let messageCount = 0;
+let maxLatency = 0;
+let messageCount = 0; // 'update' events over all clients
+let hitCount = 0; // hits carried by those updates
+let timerCount = 0; // 'timer' events over all clients
 const startTimestamp = Date.now();
 
 for (let i = 0; i < NUM_CLIENTS; i++) {
     const socket = io(SERVER_URL, {
         // Optional: reduce logging overhead
-        transports: ['websocket'], 
-        forceNew: true 
+        transports: ['websocket'],
+        forceNew: true,
+        query: COIN ? { coin: COIN } : {}
     });
 
     socket.on('connect', () => {
-        // console.log(`Client ${i + 1} connected.`);
+        connected++;
     });
-    
-    // The main event your server emits frequently
-    socket.on('game_state', (data) => {
-        const receivedTime = Date.now();
-        
-        // Calculate latency by tracking a 'sentTime' field added to your server's payload
-        // NOTE: You must temporarily modify your server.js to add: data.sentTime = Date.now();
-        const latency = receivedTime - (data.sentTime || startTimestamp); 
-        
+
+    // One per server tick while hits come in, with the batch since the last tick
+    socket.on('update', (data) => {
+        const latency = Date.now() - data.sentAt;
+
         totalLatency += latency;
+        maxLatency = Math.max(maxLatency, latency);
         messageCount++;
+        hitCount += data.hits.length;
 
         if (messageCount % 5000 === 0) {
             const avgLatency = (totalLatency / messageCount).toFixed(2);
-            console.log(`Received ${messageCount} messages. Avg Latency: ${avgLatency}ms`);
+            console.log(`Received ${messageCount} updates. Avg Latency: ${avgLatency}ms`);
         }
     });
 
+    // Only sent when a phase end moves; clients count down locally
+    socket.on('timer', () => {
+        timerCount++;
+    });
+
     socket.on('disconnect', () => {
-        // console.log(`Client ${i + 1} disconnected.`);
+        connected--;
     });
 
     clients.push(socket);
 }
 
-console.log(`Simulating ${NUM_CLIENTS} concurrent overlay clients...`);
+console.log(`Simulating ${NUM_CLIENTS} concurrent overlay clients on ${SERVER_URL} for ${DURATION_SECONDS}s...`);
 
-// Report final statistics after 30 seconds
+// Report final statistics once the test is over
 setTimeout(() => {
-    clients.forEach(c => c.disconnect());
-    const finalAvgLatency = (totalLatency / messageCount).toFixed(2);
     const duration = (Date.now() - startTimestamp) / 1000;
-    
+    const stillConnected = connected;
+    clients.forEach(c => c.disconnect());
+    const finalAvgLatency = messageCount ? (totalLatency / messageCount).toFixed(2) : '-';
+
     console.log('\n--- FINAL STRESS REPORT ---');
     console.log(`Duration: ${duration.toFixed(2)}s`);
-    console.log(`Total Messages Received: ${messageCount}`);
-    console.log(`Final Average Latency: ${finalAvgLatency}ms`);
+    console.log(`Clients connected at the end: ${stillConnected}/${NUM_CLIENTS}`);
+    console.log(`Total Updates Received: ${messageCount} (${(messageCount / duration).toFixed(1)}/s, ${(messageCount / duration / NUM_CLIENTS).toFixed(2)}/s per client)`);
+    console.log(`Hits Received: ${hitCount} (${(hitCount / duration / NUM_CLIENTS).toFixed(1)}/s per client)`);
+    console.log(`Timer Events Received: ${timerCount}`);
+    console.log(`Final Average Latency: ${finalAvgLatency}ms (max ${maxLatency}ms)`);
     console.log('---------------------------');
-}, 30000); // Test for 30 seconds
\ No newline at end of file
+    process.exit(0);
+}, DURATION_SECONDS * 1000);
@@ -0,0 +1,109 @@
+/**
+ * payout_batcher.js - Packs claim_payout instructions into transactions
+ *
+ * The Solana side of the payout queue (payout_queue.js):
+ * - pack(jobs) splits payout jobs into groups that each fit one transaction,
+ *   limited by maxClaimsPerTransaction, the transaction size limit and the
+ *   compute budget
+ * - send(jobs) sends one transaction with a claim_payout per job and waits
+ *   for confirmation. When a single claim makes the transaction fail, the
+ *   thrown error carries that job's index as error.jobIndex.
+ */
+
+const {
+  Transaction,
+  ComputeBudgetProgram,
+  PublicKey,
+  SystemProgram,
+  PACKET_DATA_SIZE
+} = require('@solana/web3.js');
+const { AnchorError } = require('@coral-xyz/anchor');
+
+const MAX_COMPUTE_UNITS = 1400000;
+
+class PayoutBatcher {
+  constructor({ program, authorityKeypair, maxClaimsPerTransaction = 10, computeUnitsPerClaim = 30000 }) {
+    this.program = program;
+    this.authorityKeypair = authorityKeypair;
+    this.maxClaimsPerTransaction = Math.max(1, Math.min(
+      maxClaimsPerTransaction,
+      Math.floor(MAX_COMPUTE_UNITS / computeUnitsPerClaim)
+    ));
+    this.computeUnitsPerClaim = computeUnitsPerClaim;
+  }
+
+  claimInstruction(job) {
+    return this.program.methods
+      .claimPayout()
+      .accounts({
+        bettingRound: new PublicKey(job.bettingRound),
+        betAccount: new PublicKey(job.betAccount),
+        escrow: new PublicKey(job.escrow),
+        bettor: new PublicKey(job.bettor),
+        authority: this.authorityKeypair.publicKey,
+        systemProgram: SystemProgram.programId,
+      })
+      .instruction();
+  }
+
+  // The compute budget instruction comes first, so claim i is instruction i + 1
+  buildTransaction(instructions) {
+    const tx = new Transaction();
+    tx.add(ComputeBudgetProgram.setComputeUnitLimit({
+      units: Math.min(MAX_COMPUTE_UNITS, this.computeUnitsPerClaim * instructions.length)
+    }));
+    tx.add(...instructions);
+    tx.feePayer = this.authorityKeypair.publicKey;
+    return tx;
+  }
+
+  // Serialized size with an empty signature slot, which is what goes over the wire once signed
+  transactionSize(instructions) {
+    const tx = this.buildTransaction(instructions);
+    tx.recentBlockhash = PublicKey.default.toBase58();
+    try {
+      return tx.serialize({ requireAllSignatures: false, verifySignatures: false }).length;
+    } catch (error) {
+      // web3.js refuses to serialize anything over PACKET_DATA_SIZE
+      return Infinity;
+    }
+  }
+
+  async pack(jobs) {
+    const batches = [];
+    let batch = [];
+    let instructions = [];
+    for (const job of jobs) {
+      const instruction = await this.claimInstruction(job);
+      const fits = batch.length < this.maxClaimsPerTransaction &&
+        this.transactionSize([...instructions, instruction]) <= PACKET_DATA_SIZE;
+      if (!fits && batch.length) {
+        batches.push(batch);
+        batch = [];
+        instructions = [];
+      }
+      batch.push(job);
+      instructions.push(instruction);
+    }
+    if (batch.length) batches.push(batch);
+    return batches;
+  }
+
+  async send(jobs) {
+    const instructions = await Promise.all(jobs.map(job => this.claimInstruction(job)));
+    try {
+      return await this.program.provider.sendAndConfirm(this.buildTransaction(instructions));
+    } catch (error) {
+      const logs = error.transactionLogs || error.logs;
+      const anchorError = Array.isArray(logs) ? AnchorError.parse(logs) : null;
+      const failed = error.message.match(/Error processing Instruction (\d+)/) ||
+        error.message.match(/"InstructionError":\[(\d+)/);
+
+      const batchError = new Error(anchorError ? anchorError.error.errorMessage : error.message);
+      if (failed && Number(failed[1]) > 0) batchError.jobIndex = Number(failed[1]) - 1;
+      throw batchError;
+    }
+  }
+}
+
+module.exports = { PayoutBatcher };
@@ -0,0 +1,335 @@
+/**
+ * payout_queue.js - Durable queue of winner payouts
+ *
+ * Every winning bet becomes a job, persisted to a JSON file before anything
+ * is sent, that moves through:
+ *   pending   -> waiting for its (next) attempt
+ *   sent      -> claim_payout submitted, waiting for confirmation
+ *   confirmed -> paid, or found already paid on-chain
+ *   failed    -> out of attempts; an admin can put it back to pending
+ *
+ * Due jobs are packed into batches that are sent `concurrency` at a time.
+ * Failed attempts are retried with exponential backoff. Before every attempt
+ * the job checks BetAccount.payout_claimed, so a payout that landed right
+ * before a crash or a timeout is never sent twice. Jobs are keyed by round
+ * and bettor, so enqueueing the same round again is harmless.
+ *
+ * The queue knows nothing about Solana: server.js passes packBatches(jobs),
+ * sendBatch(jobs) (payout_batcher.js) and findClaimed(jobs). findClaimed
+ * answers per job false, or for a claimed one what its PayoutClaimed event
+ * says was paid ({ amount, signature }), or true when that is unknown.
+ *
+ * 'updated' is emitted on every state change; 'paid' when only the amount
+ * the program reported as sent (paidAmount) is filled in afterwards.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const PAYOUT_STATES = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+// Runs fn over items with at most `limit` calls in flight
+async function forEachConcurrently(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) await fn(items[next++]);
+  });
+  await Promise.all(workers);
+}
+
+class PayoutQueue extends EventEmitter {
+  constructor({
+    filePath,
+    sendBatch,
+    findClaimed,
+    packBatches = async (jobs) => jobs.map(job => [job]),
+    concurrency = 4,
+    maxAttempts = 5,
+    baseDelayMs = 2000,
+    maxDelayMs = 5 * 60 * 1000,
+    pollIntervalMs = 1000,
+    retentionMs = 7 * 24 * 60 * 60 * 1000
+  }) {
+    super();
+    this.filePath = filePath;
+    this.sendBatch = sendBatch;
+    this.findClaimed = findClaimed;
+    this.packBatches = packBatches;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.retentionMs = retentionMs;
+    this.jobs = new Map(); // id -> job
+    this.timer = null;
+    this.processing = null;
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    this.load();
+  }
+
+  static jobId(roundId, bettor) {
+    return `${roundId}:${bettor}`;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const job of saved.jobs || []) {
+        // A send that was in flight when the server stopped may or may not
+        // have landed; the claimed check before the next attempt sorts it out
+        if (job.state === PAYOUT_STATES.SENT) {
+          job.state = PAYOUT_STATES.PENDING;
+          job.nextAttemptAt = 0;
+        }
+        this.jobs.set(job.id, job);
+      }
+    } catch (error) {
+      console.error('Payout queue file is unreadable, starting empty:', error.message);
+    }
+  }
+
+  save() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, job] of this.jobs) {
+      if (job.state === PAYOUT_STATES.CONFIRMED && job.updatedAt < cutoff) this.jobs.delete(id);
+    }
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ jobs: Array.from(this.jobs.values()) }, null, 2), 'utf8');
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  update(job, changes) {
+    this.updateAll([job], changes);
+  }
+
+  // Applies the same changes to several jobs with a single write
+  updateAll(jobs, changes) {
+    const updatedAt = Date.now();
+    for (const job of jobs) Object.assign(job, changes, { updatedAt });
+    try {
+      this.save();
+    } catch (error) {
+      console.error('Error saving payout queue:', error.message);
+    }
+    for (const job of jobs) this.emit('updated', { ...job });
+  }
+
+  // Adds the winners of a round; jobs that already exist are left alone.
+  // payout: { roundId, coin, bettingRound, escrow, betAccount, bettor, username, betAmount, prizeShare, totalPayout }
+  enqueue(payouts) {
+    const added = [];
+    for (const payout of payouts) {
+      const id = PayoutQueue.jobId(payout.roundId, payout.bettor);
+      if (this.jobs.has(id)) continue;
+      const now = Date.now();
+      const job = {
+        id,
+        ...payout,
+        state: PAYOUT_STATES.PENDING,
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null,
+        signature: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      this.jobs.set(id, job);
+      added.push(job);
+    }
+    if (added.length) {
+      this.save();
+      for (const job of added) this.emit('updated', { ...job });
+    }
+    return added;
+  }
+
+  backoff(attempts) {
+    return Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+  }
+
+  // Sends one batch. A transaction fails as a whole, so when the error names
+  // the claim that broke it, only that job is charged and the rest go again.
+  async settle(batch) {
+    for (const job of batch) job.attempts++;
+    this.updateAll(batch, { state: PAYOUT_STATES.SENT });
+    try {
+      const signature = await this.sendBatch(batch);
+      this.updateAll(batch, { state: PAYOUT_STATES.CONFIRMED, signature, lastError: null });
+      console.log(`Payout batch confirmed: ${batch.length} winners, ${batch.reduce((sum, job) => sum + job.totalPayout, 0)} lamports (${signature})`);
+    } catch (error) {
+      const culprit = batch.length > 1 && Number.isInteger(error.jobIndex) ? batch[error.jobIndex] : null;
+      if (!culprit) {
+        for (const job of batch) this.retryLater(job, error);
+        return;
+      }
+      this.retryLater(culprit, error);
+      const rest = batch.filter(job => job !== culprit);
+      for (const job of rest) job.attempts--;
+      await this.settle(rest);
+    }
+  }
+
+  retryLater(job, error) {
+    const message = error.error?.errorMessage || error.message;
+    if (job.attempts >= this.maxAttempts) {
+      this.update(job, { state: PAYOUT_STATES.FAILED, lastError: message, nextAttemptAt: null });
+      console.error(`Payout for ${job.username} failed after ${job.attempts} attempts:`, message);
+      return;
+    }
+    const delay = this.backoff(Math.max(1, job.attempts));
+    this.update(job, { state: PAYOUT_STATES.PENDING, lastError: message, nextAttemptAt: Date.now() + delay });
+    console.warn(`Payout for ${job.username} failed (attempt ${job.attempts}/${this.maxAttempts}), retrying in ${delay / 1000}s:`, message);
+  }
+
+  // Attempts every pending job that is due: jobs already paid on-chain are
+  // confirmed, the rest are packed into batches sent `concurrency` at a time.
+  // Concurrent calls share the same pass.
+  processDue(now = Date.now()) {
+    if (this.processing) return this.processing;
+    this.processing = (async () => {
+      const due = Array.from(this.jobs.values())
+        .filter(job => job.state === PAYOUT_STATES.PENDING && job.nextAttemptAt <= now);
+      if (!due.length) return;
+
+      let claimed;
+      try {
+        claimed = await this.findClaimed(due);
+      } catch (error) {
+        // Not being able to read the bet accounts counts as an attempt too
+        for (const job of due) {
+          job.attempts++;
+          this.retryLater(job, error);
+        }
+        return;
+      }
+
+      const alreadyPaid = due.filter((job, i) => claimed[i]);
+      due.forEach((job, i) => {
+        if (claimed[i] && claimed[i].amount !== undefined && job.paidAmount === undefined) {
+          Object.assign(job, { paidAmount: claimed[i].amount, paidSignature: claimed[i].signature });
+        }
+      });
+      if (alreadyPaid.length) {
+        this.updateAll(alreadyPaid, { state: PAYOUT_STATES.CONFIRMED, lastError: null, alreadyClaimed: true });
+      }
+      const unpaid = due.filter((job, i) => !claimed[i]);
+      if (!unpaid.length) return;
+
+      let batches;
+      try {
+        batches = await this.packBatches(unpaid);
+      } catch (error) {
+        for (const job of unpaid) {
+          job.attempts++;
+          this.retryLater(job, error);
+        }
+        return;
+      }
+      await forEachConcurrently(batches, this.concurrency, batch => this.settle(batch));
+    })().finally(() => {
+      this.processing = null;
+    });
+    return this.processing;
+  }
+
+  // A pass that starts after any running one is done, so it covers every job
+  // enqueued before the call
+  async processFresh() {
+    if (this.processing) await this.processing.catch(() => {});
+    return this.processDue();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.processDue().catch(error => console.error('Error processing payouts:', error));
+    }, this.pollIntervalMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // What the program's PayoutClaimed event says reached the winner. The job's
+  // state does not change, so this is a 'paid' event and not an 'updated' one
+  recordPaid({ roundId, bettor, amount, signature }) {
+    const job = this.jobs.get(PayoutQueue.jobId(roundId, bettor));
+    if (!job || job.paidAmount === amount) return;
+    Object.assign(job, { paidAmount: amount, paidSignature: signature, updatedAt: Date.now() });
+    try {
+      this.save();
+    } catch (error) {
+      console.error('Error saving payout queue:', error.message);
+    }
+    this.emit('paid', { ...job });
+  }
+
+  // Puts failed jobs back in line with a fresh set of attempts
+  retry(ids) {
+    const retried = [];
+    for (const id of ids) {
+      const job = this.jobs.get(id);
+      if (!job || job.state !== PAYOUT_STATES.FAILED) continue;
+      this.update(job, { state: PAYOUT_STATES.PENDING, attempts: 0, nextAttemptAt: 0 });
+      retried.push({ ...job });
+    }
+    return retried;
+  }
+
+  list({ roundId, state, coin } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => (roundId === undefined || job.roundId === roundId) &&
+        (state === undefined || job.state === state) &&
+        (coin === undefined || job.coin === coin))
+      .map(job => ({ ...job }));
+  }
+
+  // Rounds that still owe somebody money
+  openRounds() {
+    const rounds = new Set();
+    for (const job of this.jobs.values()) {
+      if (job.state !== PAYOUT_STATES.CONFIRMED) rounds.add(job.roundId);
+    }
+    return Array.from(rounds);
+  }
+
+  // Compares what the round still owes with what its escrow holds.
+  // Amounts in lamports; unclaimedFee is the treasury's cut if claim_fees has not run yet.
+  reconcile(roundId, { escrowBalance, unclaimedFee = 0 }) {
+    const jobs = this.list({ roundId });
+    const byState = Object.fromEntries(Object.values(PAYOUT_STATES).map(state => [state, 0]));
+    let expected = 0;
+    let paid = 0;
+    for (const job of jobs) {
+      byState[job.state]++;
+      expected += job.totalPayout;
+      if (job.state === PAYOUT_STATES.CONFIRMED) paid += job.totalPayout;
+    }
+    const outstanding = expected - paid;
+    const surplus = escrowBalance - outstanding - unclaimedFee;
+    return {
+      roundId,
+      jobs: byState,
+      expectedPayouts: expected,
+      confirmedPayouts: paid,
+      outstandingPayouts: outstanding,
+      unclaimedFee,
+      escrowBalance,
+      surplus,
+      balanced: surplus >= 0
+    };
+  }
+}
+
+module.exports = { PayoutQueue, PAYOUT_STATES };
@@ -0,0 +1,132 @@
+/**
+ * program_events.js - Bets, payouts and fees as the program reports them
+ *
+ * Subscribes to the program's logs and decodes its BetPlaced, PayoutClaimed
+ * and FeesClaimed events, re-emitting them with plain values:
+ *   'bet_placed'     { roundId, bettor, username, amount, prediction, signature, slot }
+ *   'payout_claimed' { roundId, bettor, originalBet, prizeShare, totalPayout, signature, slot }
+ *   'fees_claimed'   { roundId, treasury, amount, signature, slot }
+ * Amounts are in lamports. verifyBet() checks a bet a client says it placed
+ * against the events in that transaction, so the pools only ever grow by
+ * what the chain recorded.
+ */
+
+const { EventEmitter } = require('events');
+const { EventParser } = require('@coral-xyz/anchor');
+const { PublicKey } = require('@solana/web3.js');
+
+const PROGRAM_EVENTS = {
+  betPlaced: 'bet_placed',
+  payoutClaimed: 'payout_claimed',
+  feesClaimed: 'fees_claimed'
+};
+
+function normalizeEvent(name, data, signature, slot) {
+  switch (name) {
+    case 'betPlaced':
+      return {
+        roundId: data.roundId.toNumber(),
+        bettor: data.bettor.toString(),
+        username: data.username,
+        amount: data.amount.toNumber(),
+        prediction: Object.keys(data.prediction)[0],
+        signature,
+        slot
+      };
+    case 'payoutClaimed':
+      return {
+        roundId: data.roundId.toNumber(),
+        bettor: data.bettor.toString(),
+        originalBet: data.originalBet.toNumber(),
+        prizeShare: data.prizeShare.toNumber(),
+        totalPayout: data.totalPayout.toNumber(),
+        signature,
+        slot
+      };
+    case 'feesClaimed':
+      return {
+        roundId: data.roundId.toNumber(),
+        treasury: data.treasury.toString(),
+        amount: data.amount.toNumber(),
+        signature,
+        slot
+      };
+    default:
+      return null;
+  }
+}
+
+class ProgramEvents extends EventEmitter {
+  constructor({ program, connection }) {
+    super();
+    this.program = program;
+    this.connection = connection;
+    this.parser = new EventParser(program.programId, program.coder);
+    this.listenerIds = [];
+  }
+
+  start() {
+    if (this.listenerIds.length) return;
+    for (const [name, eventName] of Object.entries(PROGRAM_EVENTS)) {
+      this.listenerIds.push(this.program.addEventListener(name, (data, slot, signature) => {
+        try {
+          this.emit(eventName, normalizeEvent(name, data, signature, slot));
+        } catch (error) {
+          console.error(`Error handling ${name} event:`, error);
+        }
+      }, 'confirmed'));
+    }
+  }
+
+  async stop() {
+    const listenerIds = this.listenerIds;
+    this.listenerIds = [];
+    for (const id of listenerIds) {
+      await this.program.removeEventListener(id).catch(() => {});
+    }
+  }
+
+  // The program events of a confirmed transaction
+  async transactionEvents(signature) {
+    const tx = await this.connection.getTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+    if (!tx) throw new Error('Transaction not found');
+    if (tx.meta && tx.meta.err) throw new Error('Transaction failed on-chain');
+
+    const events = [];
+    for (const event of this.parser.parseLogs((tx.meta && tx.meta.logMessages) || [])) {
+      const normalized = normalizeEvent(event.name, event.data, signature, tx.slot);
+      if (normalized) events.push({ type: PROGRAM_EVENTS[event.name], ...normalized });
+    }
+    return events;
+  }
+
+  // The PayoutClaimed event of a bet that is already claimed, looked up in the
+  // latest transactions of its bet account, or null
+  async findPayout({ betAccount, bettor, roundId }) {
+    const signatures = await this.connection.getSignaturesForAddress(new PublicKey(betAccount), { limit: 20 });
+    for (const { signature, err } of signatures) {
+      if (err) continue;
+      const events = await this.transactionEvents(signature);
+      const payout = events.find(event => event.type === PROGRAM_EVENTS.payoutClaimed &&
+        event.bettor === bettor && event.roundId === roundId);
+      if (payout) return payout;
+    }
+    return null;
+  }
+
+  // The bet that transaction `signature` placed for walletAddress in roundId
+  async verifyBet({ signature, walletAddress, roundId }) {
+    if (!signature) throw new Error('A transaction signature is required');
+    const events = await this.transactionEvents(signature);
+    const bet = events.find(event => event.type === PROGRAM_EVENTS.betPlaced &&
+      event.bettor === walletAddress && event.roundId === roundId);
+    if (!bet) throw new Error('Transaction did not place a bet for this wallet in the current round');
+    const { type, ...betPlaced } = bet;
+    return betPlaced;
+  }
+}
+
+module.exports = { ProgramEvents, PROGRAM_EVENTS };
@@ -0,0 +1,49 @@
+/**
+ * room_manager.js - One game per coin
+ *
+ * Holds a game instance (game.js) for every configured coin and finds the
+ * one a request or socket is asking for. The first coin is the default for
+ * clients that do not name one, so single-coin overlays keep working unchanged.
+ */
+
+class RoomManager {
+  constructor({ coins, createGame }) {
+    if (!coins.length) throw new Error('At least one coin is required');
+    this.games = new Map(); // coinAddress -> game
+    for (const coinAddress of coins) {
+      if (this.games.has(coinAddress)) continue;
+      this.games.set(coinAddress, createGame(coinAddress));
+    }
+    this.defaultCoin = coins[0];
+  }
+
+  // The coin's game, the default game when no coin is given, or null for unknown coins
+  get(coinAddress) {
+    if (!coinAddress) return this.games.get(this.defaultCoin);
+    return this.games.get(coinAddress) || null;
+  }
+
+  all() {
+    return Array.from(this.games.values());
+  }
+
+  list() {
+    return this.all().map(game => ({
+      coinAddress: game.coinAddress,
+      room: game.room,
+      gamePhase: game.gamePhase,
+      currentRoundId: game.currentRoundId,
+      default: game.coinAddress === this.defaultCoin
+    }));
+  }
+
+  start() {
+    return Promise.all(this.all().map(game => game.start()));
+  }
+
+  stop() {
+    for (const game of this.all()) game.stop();
+  }
+}
+
+module.exports = { RoomManager };
@@ -0,0 +1,158 @@
+/**
+ * round_archive.js - Index of the finished rounds in EXPORT_DIR
+ *
+ * Every results summary (bossfight_<coin>_<roundId>_<time>.json) becomes one
+ * entry with what a list of past fights needs: outcome, boss, top damage
+ * dealer, pool sizes and the BettingRound PDA. The index is saved to
+ * indexPath and checked against the export directory on boot, so only
+ * summaries written since the last run are read and deleted ones drop out.
+ * A round exported twice (finished again after a restart) keeps its newest
+ * export.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SUMMARY_FILE = /^bossfight_.*_(\d+)_(\d+)\.json$/;
+
+const ROUND_OUTCOMES = {
+  DEFEATED: 'defeated',
+  SURVIVED: 'survived'
+};
+
+function entryFromSummary(file, summary, exportedAt) {
+  const totalDeathBets = summary.totalDeathBets || 0;
+  const totalSurvivalBets = summary.totalSurvivalBets || 0;
+  return {
+    roundId: summary.currentRoundId,
+    coinAddress: summary.coinAddress || '',
+    boss: summary.boss || null,
+    bossDefeated: Boolean(summary.bossDefeated),
+    topDamageDealer: summary.topDamageDealer || null,
+    topDamage: summary.topDamage || 0,
+    totalHits: summary.totalHits || 0,
+    totalDeathBets,
+    totalSurvivalBets,
+    totalPool: totalDeathBets + totalSurvivalBets,
+    bettingRoundPDA: summary.bettingRoundPDA || null,
+    endedAt: Date.parse(summary.timestamp) || exportedAt,
+    exportedAt,
+    file
+  };
+}
+
+class RoundArchive {
+  constructor({ dir, indexPath }) {
+    this.dir = dir;
+    this.indexPath = indexPath;
+    this.rounds = new Map(); // roundId -> entry
+
+    const indexDir = path.dirname(indexPath);
+    if (!fs.existsSync(indexDir)) fs.mkdirSync(indexDir, { recursive: true });
+    this.load();
+    this.refresh();
+  }
+
+  load() {
+    if (!fs.existsSync(this.indexPath)) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+      for (const entry of saved.rounds || []) this.rounds.set(entry.roundId, entry);
+    } catch (error) {
+      console.error('Round index is unreadable, rebuilding it from the exports:', error.message);
+      this.rounds.clear();
+    }
+  }
+
+  save() {
+    try {
+      const tmpPath = `${this.indexPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ rounds: Array.from(this.rounds.values()) }), 'utf8');
+      fs.renameSync(tmpPath, this.indexPath);
+    } catch (error) {
+      // The exports are the source of truth; the next boot rebuilds what is missing
+      console.error('Error saving round index:', error.message);
+    }
+  }
+
+  // Brings the index in line with the summaries in the export directory
+  refresh() {
+    if (!fs.existsSync(this.dir)) return;
+    const files = new Set(fs.readdirSync(this.dir).filter(file => SUMMARY_FILE.test(file)));
+    let changed = false;
+
+    for (const [roundId, entry] of this.rounds) {
+      if (!files.has(entry.file)) {
+        this.rounds.delete(roundId);
+        changed = true;
+      }
+    }
+    const indexed = new Set(Array.from(this.rounds.values(), entry => entry.file));
+    for (const file of files) {
+      if (!indexed.has(file) && this.index(file)) changed = true;
+    }
+
+    if (changed) this.save();
+    console.log(`Round archive: ${this.rounds.size} rounds indexed from ${this.dir}`);
+  }
+
+  // Reads one summary into the index; false if it is unreadable or older
+  // than the export already indexed for its round
+  index(file) {
+    const exportedAt = Number(SUMMARY_FILE.exec(file)[2]);
+    let summary;
+    try {
+      summary = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+    } catch (error) {
+      console.warn(`Skipping unreadable round export ${file}:`, error.message);
+      return false;
+    }
+    if (!summary.currentRoundId) return false;
+
+    const existing = this.rounds.get(summary.currentRoundId);
+    if (existing && existing.exportedAt >= exportedAt) return false;
+    this.rounds.set(summary.currentRoundId, entryFromSummary(file, summary, exportedAt));
+    return true;
+  }
+
+  // A summary just written by a game
+  add(file) {
+    if (this.index(file)) this.save();
+  }
+
+  // Newest first. from/to are ms timestamps of when the round ended, inclusive.
+  list({ coin, from, to, outcome, page = 1, limit = 20 } = {}) {
+    const matches = Array.from(this.rounds.values())
+      .filter(entry => (coin === undefined || entry.coinAddress === coin) &&
+        (from === undefined || entry.endedAt >= from) &&
+        (to === undefined || entry.endedAt <= to) &&
+        (outcome === undefined || entry.bossDefeated === (outcome === ROUND_OUTCOMES.DEFEATED)))
+      .sort((a, b) => b.endedAt - a.endedAt);
+
+    return {
+      rounds: matches.slice((page - 1) * limit, page * limit),
+      page,
+      limit,
+      total: matches.length,
+      pages: Math.ceil(matches.length / limit)
+    };
+  }
+
+  // Full summary of a round, with its export manifest when it has one.
+  // The anti-spam report stays in the files; it is for admins only.
+  get(roundId) {
+    const entry = this.rounds.get(roundId);
+    if (!entry) return null;
+
+    const summary = JSON.parse(fs.readFileSync(path.join(this.dir, entry.file), 'utf8'));
+    const { antiSpam, ...publicSummary } = summary;
+    const manifestPath = path.join(this.dir, entry.file.replace(/\.json$/, '_manifest.json'));
+    let manifest = null;
+    if (fs.existsSync(manifestPath)) {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    }
+    return { ...entry, summary: publicSummary, manifest };
+  }
+}
+
+module.exports = { RoundArchive, ROUND_OUTCOMES };
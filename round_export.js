@@ -0,0 +1,244 @@
+/**
+ * round_export.js - Everything a finished round leaves behind for accounting
+ *
+ * Every file of a round is named bossfight_<coin>_<roundId>_<time>:
+ * - .json           results summary
+ * - _damage.csv     hits per user
+ * - _rejected.csv   anti-spam verdicts per user, when anything was rejected or flagged
+ * - _events.csv     timestamped round log: phases, bets, hits and heals, fee claim
+ * - _bets.csv       every bet with wallet, side, amount and transaction signature
+ * - _payouts.csv    every winner payout, expected vs. sent amount, signature, status
+ * - _manifest.json  the round id, the files above and the totals tying them together
+ *
+ * Payouts still being retried when the round is exported are written again
+ * with updatePayouts() once they settle, together with the fee claim that
+ * waited for them. Amounts in lamports.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+
+const EVENT_HEADER = [
+  { id: 'timestamp', title: 'timestamp' },
+  { id: 'roundId', title: 'round_id' },
+  { id: 'type', title: 'type' },
+  { id: 'username', title: 'username' },
+  { id: 'wallet', title: 'wallet' },
+  { id: 'delta', title: 'delta' },
+  { id: 'amount', title: 'amount_lamports' },
+  { id: 'signature', title: 'signature' },
+  { id: 'detail', title: 'detail' }
+];
+
+const BET_HEADER = [
+  { id: 'roundId', title: 'round_id' },
+  { id: 'wallet', title: 'wallet' },
+  { id: 'username', title: 'username' },
+  { id: 'side', title: 'side' },
+  { id: 'amount', title: 'amount_lamports' },
+  { id: 'placedAt', title: 'placed_at' },
+  { id: 'betAccount', title: 'bet_account' },
+  { id: 'signature', title: 'signature' }
+];
+
+const PAYOUT_HEADER = [
+  { id: 'roundId', title: 'round_id' },
+  { id: 'wallet', title: 'wallet' },
+  { id: 'username', title: 'username' },
+  { id: 'betAmount', title: 'bet_lamports' },
+  { id: 'expected', title: 'expected_lamports' },
+  { id: 'sent', title: 'sent_lamports' },
+  { id: 'status', title: 'status' },
+  { id: 'signature', title: 'signature' },
+  { id: 'attempts', title: 'attempts' },
+  { id: 'lastError', title: 'last_error' },
+  { id: 'updatedAt', title: 'updated_at' }
+];
+
+// UTC with milliseconds: many hits of a busy fight land in the same second
+function isoTime(ms) {
+  return ms ? new Date(ms).toISOString() : '';
+}
+
+async function writeCsv(filePath, header, records) {
+  // Written next to the target first, so a rewrite never leaves half a file
+  const tmpPath = `${filePath}.tmp`;
+  await createCsvWriter({ path: tmpPath, header }).writeRecords(records);
+  fs.renameSync(tmpPath, filePath);
+}
+
+function writeJson(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+function payoutRows(roundId, payouts) {
+  return payouts.map(job => ({
+    roundId,
+    wallet: job.bettor,
+    username: job.username,
+    betAmount: job.betAmount,
+    expected: job.totalPayout,
+    sent: job.paidAmount === undefined ? '' : job.paidAmount,
+    status: job.state,
+    signature: job.signature || job.paidSignature || '',
+    attempts: job.attempts,
+    lastError: job.lastError || '',
+    updatedAt: isoTime(job.updatedAt)
+  }));
+}
+
+function payoutSummary(payouts) {
+  const states = {};
+  let expected = 0;
+  let sent = 0;
+  for (const job of payouts) {
+    states[job.state] = (states[job.state] || 0) + 1;
+    expected += job.totalPayout;
+    sent += job.paidAmount || 0;
+  }
+  return { count: payouts.length, expected, sent, states };
+}
+
+class RoundExporter {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.manifestPaths = new Map(); // roundId -> manifest path
+    this.payoutUpdates = new Map(); // roundId -> update already scheduled
+    this.feeClaims = new Map(); // roundId -> fee claim for the next update's manifest
+    this.exports = new Map(); // roundId -> export being written
+
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  // results:  summary from buildResults(), written as is
+  // events:   [{ timestamp, type, username, wallet, delta, amount, signature, detail }]
+  // bets:     [{ wallet, username, side, amount, placedAt, betAccount, signature }]
+  // payouts:  payout queue jobs of the round
+  // feeClaim: { amount, signature } or null
+  exportRound(round) {
+    const running = this.writeRound(round);
+    this.exports.set(round.roundId, running);
+    return running.finally(() => this.exports.delete(round.roundId));
+  }
+
+  async writeRound({ roundId, coinAddress, results, events, bets, payouts, feeClaim }) {
+    const baseName = `bossfight_${coinAddress}_${roundId}_${Date.now()}`;
+    const file = (suffix) => path.join(this.dir, `${baseName}${suffix}`);
+    const files = {
+      summary: `${baseName}.json`,
+      damage: `${baseName}_damage.csv`,
+      rejected: null,
+      events: `${baseName}_events.csv`,
+      bets: `${baseName}_bets.csv`,
+      payouts: `${baseName}_payouts.csv`
+    };
+
+    fs.writeFileSync(file('.json'), JSON.stringify(results, null, 2), 'utf8');
+
+    await writeCsv(file('_damage.csv'), [
+      { id: 'username', title: 'username' },
+      { id: 'hits', title: 'hits' }
+    ], results.scores);
+
+    if (results.antiSpam && results.antiSpam.users.length) {
+      files.rejected = `${baseName}_rejected.csv`;
+      await writeCsv(file('_rejected.csv'), [
+        { id: 'username', title: 'username' },
+        { id: 'accepted', title: 'accepted' },
+        { id: 'rejected', title: 'rejected' },
+        { id: 'cooldown', title: 'cooldown' },
+        { id: 'rate_limit', title: 'rate_limit' },
+        { id: 'duplicate', title: 'duplicate' },
+        { id: 'flagged', title: 'flagged' },
+        { id: 'flagReason', title: 'flag_reason' }
+      ], results.antiSpam.users);
+    }
+
+    const sortedEvents = [...events].sort((a, b) => a.timestamp - b.timestamp);
+    await writeCsv(file('_events.csv'), EVENT_HEADER, sortedEvents.map(event => ({
+      ...event,
+      timestamp: isoTime(event.timestamp),
+      roundId
+    })));
+
+    await writeCsv(file('_bets.csv'), BET_HEADER, bets.map(bet => ({
+      ...bet,
+      roundId,
+      placedAt: isoTime(bet.placedAt),
+      signature: bet.signature || ''
+    })));
+
+    await writeCsv(file('_payouts.csv'), PAYOUT_HEADER, payoutRows(roundId, payouts));
+
+    const manifest = {
+      roundId,
+      coinAddress,
+      programId: results.programId,
+      bettingRoundPDA: results.bettingRoundPDA,
+      boss: results.boss,
+      bossDefeated: results.bossDefeated,
+      exportedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      files,
+      events: sortedEvents.length,
+      bets: {
+        count: bets.length,
+        death: bets.filter(bet => bet.side === 'death').reduce((sum, bet) => sum + bet.amount, 0),
+        survival: bets.filter(bet => bet.side === 'survival').reduce((sum, bet) => sum + bet.amount, 0)
+      },
+      fee: feeClaim,
+      payouts: payoutSummary(payouts)
+    };
+    const manifestPath = file('_manifest.json');
+    writeJson(manifestPath, manifest);
+    this.manifestPaths.set(roundId, manifestPath);
+    return { manifestPath, manifest };
+  }
+
+  // The manifest of an exported round, also after a restart
+  findManifest(roundId) {
+    if (this.manifestPaths.has(roundId)) return this.manifestPaths.get(roundId);
+    const name = fs.readdirSync(this.dir)
+      .filter(f => f.includes(`_${roundId}_`) && f.endsWith('_manifest.json'))
+      .sort()
+      .pop();
+    if (!name) return null;
+    const manifestPath = path.join(this.dir, name);
+    this.manifestPaths.set(roundId, manifestPath);
+    return manifestPath;
+  }
+
+  // Rewrites the payouts CSV and the manifest totals of an exported round, and
+  // its fee when feeClaim is given. Calls made while an update is already
+  // scheduled share it; getPayouts is read when the update runs, so it sees
+  // the latest state.
+  updatePayouts(roundId, getPayouts, feeClaim = null) {
+    if (feeClaim) this.feeClaims.set(roundId, feeClaim);
+    if (this.payoutUpdates.has(roundId)) return this.payoutUpdates.get(roundId);
+    const update = new Promise(resolve => setImmediate(resolve))
+      .then(async () => {
+        this.payoutUpdates.delete(roundId);
+        // Payouts can settle while the round is still being exported
+        if (this.exports.has(roundId)) await this.exports.get(roundId).catch(() => {});
+        const manifestPath = this.findManifest(roundId);
+        if (!manifestPath) return null;
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        const payouts = getPayouts();
+        const fee = this.feeClaims.get(roundId);
+        this.feeClaims.delete(roundId);
+        await writeCsv(path.join(this.dir, manifest.files.payouts), PAYOUT_HEADER, payoutRows(roundId, payouts));
+        manifest.payouts = payoutSummary(payouts);
+        if (fee) manifest.fee = fee;
+        manifest.updatedAt = new Date().toISOString();
+        writeJson(manifestPath, manifest);
+        return manifestPath;
+      });
+    this.payoutUpdates.set(roundId, update);
+    return update;
+  }
+}
+
+module.exports = { RoundExporter };
@@ -0,0 +1,74 @@
+/**
+ * round_journal.js - Crash-safe persistence of the current round
+ *
+ * - round_state.json: full snapshot, rewritten atomically on every phase transition
+ * - round_hits.ndjson: one line per hit/heal since the last snapshot
+ *
+ * On boot, load() returns the snapshot with the hits replayed on top of it so
+ * server.js can reconcile it against the on-chain BettingRound account.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class RoundJournal {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.snapshotPath = path.join(dir, 'round_state.json');
+    this.hitsPath = path.join(dir, 'round_hits.ndjson');
+
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  saveSnapshot(state) {
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ ...state, savedAt: Date.now() }), 'utf8');
+    fs.renameSync(tmpPath, this.snapshotPath);
+    // Every hit so far is part of the snapshot now
+    fs.writeFileSync(this.hitsPath, '', 'utf8');
+  }
+
+  appendHit(hit) {
+    try {
+      fs.appendFileSync(this.hitsPath, JSON.stringify(hit) + '\n', 'utf8');
+    } catch (error) {
+      // Losing a journal line must never stop the fight itself
+      console.error('Error journaling hit:', error.message);
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.snapshotPath)) return null;
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+    } catch (error) {
+      console.error('Round journal snapshot is unreadable:', error.message);
+      return null;
+    }
+
+    const hits = [];
+    if (fs.existsSync(this.hitsPath)) {
+      const lines = fs.readFileSync(this.hitsPath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          hits.push(JSON.parse(line));
+        } catch (error) {
+          // A torn last line from a crash mid-write; everything before it is intact
+          console.warn('Skipping unreadable round journal line');
+        }
+      }
+    }
+    return { snapshot, hits };
+  }
+
+  clear() {
+    for (const filePath of [this.snapshotPath, this.hitsPath]) {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    }
+  }
+}
+
+module.exports = { RoundJournal };
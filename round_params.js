@@ -0,0 +1,42 @@
+/**
+ * round_params.js - Per-round game parameters
+ *
+ * Every round is played with its own durations, boss HP and fee, chosen when
+ * the betting phase starts and passed to initialize_betting_round. Anything
+ * not given falls back to the server defaults (env), and every value has to
+ * stay within ROUND_PARAM_BOUNDS.
+ */
+
+// Durations in seconds, fee in percent of the losing pool
+const ROUND_PARAM_BOUNDS = {
+  bettingDuration: { min: 10, max: 600 },
+  fightDuration: { min: 10, max: 1800 },
+  initialHp: { min: 1, max: 100000 },
+  feePercentage: { min: 0, max: 20 }
+};
+
+const ROUND_PARAM_NAMES = Object.keys(ROUND_PARAM_BOUNDS);
+
+// Merges the overrides onto the defaults and checks every value.
+// Returns { params, errors }; params is null when anything is out of bounds.
+function resolveRoundParams(overrides, defaults) {
+  const params = { ...defaults };
+  const errors = [];
+
+  for (const name of ROUND_PARAM_NAMES) {
+    const raw = overrides ? overrides[name] : undefined;
+    if (raw !== undefined && raw !== null && raw !== '') params[name] = Number(raw);
+
+    const value = params[name];
+    const { min, max } = ROUND_PARAM_BOUNDS[name];
+    if (!Number.isInteger(value)) {
+      errors.push(`${name} must be a whole number`);
+    } else if (value < min || value > max) {
+      errors.push(`${name} must be between ${min} and ${max}`);
+    }
+  }
+
+  return { params: errors.length ? null : params, errors };
+}
+
+module.exports = { ROUND_PARAM_BOUNDS, resolveRoundParams };
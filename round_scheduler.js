@@ -0,0 +1,250 @@
+/**
+ * round_scheduler.js - Starts rounds automatically so a stream can run unattended
+ *
+ * - waits a cooldown after each round before starting the next one
+ * - only starts rounds inside the operating hours (server local time),
+ *   e.g. "09:00-17:00,20:00-02:00"; windows may wrap past midnight
+ * - stops for the day once the max rounds per day is reached
+ * - can be paused and resumed by an admin; the paused flag and the day's
+ *   round count are kept in the state file so a restart does not reset them
+ *
+ * Emits 'status' (see getStatus()) whenever the next round is (re)scheduled.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+
+const SCHEDULE_REASONS = {
+  COOLDOWN: 'cooldown',
+  OPERATING_HOURS: 'operating_hours',
+  DAILY_CAP: 'daily_cap',
+  PAUSED: 'paused',
+  ROUND_ACTIVE: 'round_active'
+};
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${value}" in OPERATING_HOURS. Use HH:MM`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// "09:00-17:00,20:00-02:00" -> [{ start: 540, end: 1020 }, { start: 1200, end: 120 }]
+function parseOperatingHours(spec) {
+  if (!spec || !spec.trim()) return [];
+  return spec.split(',').map(s => s.trim()).filter(Boolean).map(range => {
+    const [start, end] = range.split('-');
+    if (end === undefined) {
+      throw new Error(`Invalid window "${range}" in OPERATING_HOURS. Use HH:MM-HH:MM`);
+    }
+    return { start: parseTime(start), end: parseTime(end) };
+  });
+}
+
+function minutesOfDay(date) {
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+function dayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function nextMidnight(time) {
+  const date = new Date(time);
+  date.setHours(24, 0, 0, 0);
+  return date.getTime();
+}
+
+class RoundScheduler extends EventEmitter {
+  constructor({ cooldownMs, operatingHours = '', maxRoundsPerDay = 0, stateFile = null, startRound, canStart }) {
+    super();
+    this.cooldownMs = cooldownMs;
+    this.operatingHours = operatingHours;
+    this.windows = parseOperatingHours(operatingHours);
+    this.maxRoundsPerDay = maxRoundsPerDay;
+    this.stateFile = stateFile;
+    this.startRound = startRound;
+    this.canStart = canStart;
+
+    this.paused = false;
+    this.day = dayKey(new Date());
+    this.roundsToday = 0;
+    this.timer = null;
+    this.nextRoundAt = null;
+    this.reason = null;
+
+    if (stateFile && fs.existsSync(stateFile)) this.loadState();
+  }
+
+  loadState() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      this.paused = Boolean(saved.paused);
+      if (saved.day === this.day) this.roundsToday = saved.roundsToday || 0;
+    } catch (error) {
+      console.error('Round scheduler state is unreadable:', error.message);
+    }
+  }
+
+  saveState() {
+    if (!this.stateFile) return;
+    try {
+      const tmpPath = `${this.stateFile}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ day: this.day, roundsToday: this.roundsToday, paused: this.paused }), 'utf8');
+      fs.renameSync(tmpPath, this.stateFile);
+    } catch (error) {
+      console.error('Error saving round scheduler state:', error.message);
+    }
+  }
+
+  isOpen(time) {
+    if (!this.windows.length) return true;
+    const minutes = minutesOfDay(new Date(time));
+    return this.windows.some(({ start, end }) => {
+      if (start === end) return true;
+      if (start < end) return minutes >= start && minutes < end;
+      return minutes >= start || minutes < end;
+    });
+  }
+
+  // Earliest moment at or after `time` that falls inside the operating hours
+  nextOpening(time) {
+    if (this.isOpen(time)) return time;
+    let earliest = Infinity;
+    for (const { start } of this.windows) {
+      const candidate = new Date(time);
+      candidate.setHours(Math.floor(start / 60), start % 60, 0, 0);
+      if (candidate.getTime() <= time) candidate.setDate(candidate.getDate() + 1);
+      earliest = Math.min(earliest, candidate.getTime());
+    }
+    return earliest;
+  }
+
+  capReached(time) {
+    if (!this.maxRoundsPerDay) return false;
+    return dayKey(new Date(time)) === this.day && this.roundsToday >= this.maxRoundsPerDay;
+  }
+
+  rollDay() {
+    const today = dayKey(new Date());
+    if (today !== this.day) {
+      this.day = today;
+      this.roundsToday = 0;
+      this.saveState();
+    }
+  }
+
+  start() {
+    console.log(`Round scheduler enabled - cooldown ${this.cooldownMs / 1000}s, hours ${this.operatingHours || 'always'}, max ${this.maxRoundsPerDay || 'unlimited'} rounds/day${this.paused ? ' (paused)' : ''}`);
+    this.schedule(this.cooldownMs);
+  }
+
+  // Called for every round that starts, whether scheduled or started by an admin
+  roundStarted() {
+    this.rollDay();
+    this.roundsToday++;
+    this.saveState();
+    this.clearTimer();
+    this.reason = SCHEDULE_REASONS.ROUND_ACTIVE;
+    this.emit('status', this.getStatus());
+  }
+
+  roundEnded() {
+    this.schedule(this.cooldownMs);
+  }
+
+  pause() {
+    this.paused = true;
+    this.saveState();
+    this.schedule(0);
+    console.log('Round scheduler paused');
+  }
+
+  resume() {
+    this.paused = false;
+    this.saveState();
+    this.schedule(this.cooldownMs);
+    console.log('Round scheduler resumed');
+  }
+
+  schedule(delayMs) {
+    this.clearTimer();
+
+    if (this.paused) {
+      this.reason = SCHEDULE_REASONS.PAUSED;
+    } else if (!this.canStart()) {
+      // A round is running; roundEnded() schedules the next one
+      this.reason = SCHEDULE_REASONS.ROUND_ACTIVE;
+    } else {
+      this.rollDay();
+      let at = Date.now() + delayMs;
+      this.reason = SCHEDULE_REASONS.COOLDOWN;
+
+      if (this.capReached(at)) {
+        at = nextMidnight(at);
+        this.reason = SCHEDULE_REASONS.DAILY_CAP;
+      }
+      const opening = this.nextOpening(at);
+      if (opening > at) {
+        at = opening;
+        if (this.reason === SCHEDULE_REASONS.COOLDOWN) this.reason = SCHEDULE_REASONS.OPERATING_HOURS;
+      }
+
+      this.nextRoundAt = at;
+      this.timer = setTimeout(() => this.fire(), Math.max(0, at - Date.now()));
+      console.log(`Next round at ${new Date(at).toISOString()} (${this.reason})`);
+    }
+
+    this.emit('status', this.getStatus());
+  }
+
+  async fire() {
+    this.timer = null;
+    this.nextRoundAt = null;
+    if (this.paused || !this.canStart()) return;
+
+    // The day may have rolled over while waiting
+    this.rollDay();
+    const now = Date.now();
+    if (this.capReached(now) || !this.isOpen(now)) {
+      this.schedule(0);
+      return;
+    }
+
+    const started = await this.startRound();
+    if (!started) {
+      console.error(`Scheduled round failed to start, retrying in ${this.cooldownMs / 1000}s`);
+      this.schedule(this.cooldownMs);
+    }
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextRoundAt = null;
+  }
+
+  stop() {
+    this.clearTimer();
+  }
+
+  getStatus() {
+    return {
+      enabled: true,
+      paused: this.paused,
+      reason: this.reason,
+      nextRoundAt: this.nextRoundAt,
+      timeRemaining: this.nextRoundAt ? Math.max(0, this.nextRoundAt - Date.now()) : null,
+      roundsToday: this.roundsToday,
+      maxRoundsPerDay: this.maxRoundsPerDay,
+      operatingHours: this.operatingHours
+    };
+  }
+}
+
+module.exports = { RoundScheduler, SCHEDULE_REASONS, parseOperatingHours };
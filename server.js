@@ -2,30 +2,39 @@
  * server.js - Fixed version with client-side HP tracking
  *
  * Node.js server that:
- * - connects to pump.fun chat websocket
- * - integrates with Solana smart contract for betting
+ * - connects to a chat source (pump.fun chat, a local WebSocket feed or a replay file)
+ * - integrates with Solana smart contract for betting (or an in-memory mock of it)
  * - manages game phases and blockchain interactions
- * - runs timed boss fights (1 minute duration)
+ * - runs timed boss fights (durations, HP and fee can be set per round)
  * - serves a lightweight overlay page (overlay.html)
  * - broadcasts updates to overlay clients via socket.io
  * - exports JSON + CSV at end of fight
+ * - records each round's chat to NDJSON for time-accurate replays
+ * - journals round state to disk and resumes an interrupted round on restart
+ * - optionally starts rounds on its own within operating hours (round_scheduler.js)
+ * - rate-limits hits per user and flags bots (anti_spam.js)
+ * - scores messages with hot-reloadable keyword rules, crits and combos (keyword_rules.js)
+ * - runs bosses with scripted shields, regen, enrage and heal immunity (boss_engine.js)
+ * - runs one game per coin (game.js, room_manager.js), each in its own Socket.IO room
+ * - authenticates admins by wallet signature, with roles and an audit log (admin_auth.js)
+ * - pays winners through a persisted queue with retries and reconciliation (payout_queue.js),
+ *   packing several claims per transaction (payout_batcher.js)
+ * - tracks bets from the program's events, not from what clients report (program_events.js)
  * - HP is tracked client-side and only sent to blockchain at fight end
  */
 
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
-const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
-const createCsvWriter = require('csv-writer').createObjectCsvWriter;
-const { formatISO } = require('date-fns');
 const crypto = require('crypto');
 const { 
   Connection, 
   PublicKey, 
   Transaction,
   SystemProgram,
+  ComputeBudgetProgram,
   LAMPORTS_PER_SOL,
   sendAndConfirmTransaction,
   Keypair
@@ -36,8 +45,27 @@ const {
   AnchorProvider, 
   Wallet,
   BN,
-  web3
+  web3,
+  AnchorError
 } = require('@coral-xyz/anchor');
+const { CHAT_SOURCE_TYPES } = require('./chat_sources');
+const { MockConnection } = require('./mock_chain');
+const { ROUND_PARAM_BOUNDS, resolveRoundParams } = require('./round_params');
+const { loadBossDefinitions } = require('./boss_engine');
+const { GAME_PHASES, createGame } = require('./game');
+const { RoomManager } = require('./room_manager');
+const { AdminAuth, parseAdminWallets } = require('./admin_auth');
+const { AuditLog, AUDIT_RESULTS } = require('./audit_log');
+const { PayoutQueue, PAYOUT_STATES } = require('./payout_queue');
+const { PayoutBatcher } = require('./payout_batcher');
+const { BetCache } = require('./bet_cache');
+const { ProgramEvents } = require('./program_events');
+const { TransactionRelay, RELAY_RESULTS } = require('./tx_relay');
+const { BetLimits } = require('./bet_limits');
+const { BetHistory } = require('./bet_history');
+const { RoundArchive, ROUND_OUTCOMES } = require('./round_archive');
+const { Leaderboards, LEADERBOARD_PERIODS, LEADERBOARD_SORTS } = require('./leaderboards');
+const { ThemeStore } = require('./theme_store');
 
 const app = express();
 const server = http.createServer(app);
@@ -60,33 +88,179 @@ const io = new Server(server, {
 // Configuration
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
 const COIN_ADDRESS = process.env.COIN_ADDRESS || '';
+// Comma-separated coins to run fights for; the first one is the default room
+const COIN_ADDRESSES = (process.env.COIN_ADDRESSES || COIN_ADDRESS).split(',').map(s => s.trim()).filter(Boolean);
 const TRIGGER_KEYWORDS = (process.env.TRIGGER_KEYWORDS || 'HIT,■■').split(',').map(s => s.trim()).filter(Boolean);
 const HEAL_KEYWORDS = (process.env.HEAL_KEYWORDS || 'HEAL,❤■').split(',').map(s => s.trim()).filter(Boolean);
+// Optional JSON rules file; replaces TRIGGER_KEYWORDS / HEAL_KEYWORDS when set
+const KEYWORD_RULES_FILE = process.env.KEYWORD_RULES_FILE;
+const BOSSES_FILE = process.env.BOSSES_FILE || path.join(__dirname, 'bosses.json');
+const DEFAULT_BOSS = process.env.DEFAULT_BOSS;
 const INITIAL_HP = process.env.INITIAL_HP ? Number(process.env.INITIAL_HP) : 30;
 const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, 'exports');
+// Block explorer page of an account, {address} is replaced; linked from history.html
+const EXPLORER_ADDRESS_URL = process.env.EXPLORER_ADDRESS_URL || 'https://explorer.solana.com/address/{address}?cluster=devnet';
 const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://devnet.helius-rpc.com/?api-key=dc02dd0a-4e67-4759-8fa2-940cf9c75746';
+// 'rpc' talks to the deployed program, 'mock' runs it in memory for offline development
+const SOLANA_MODE = process.env.SOLANA_MODE || 'rpc';
+const USE_MOCK_CHAIN = SOLANA_MODE === 'mock';
+const MOCK_AIRDROP_SOL = process.env.MOCK_AIRDROP_SOL ? Number(process.env.MOCK_AIRDROP_SOL) : 10;
+const STATE_DIR = process.env.STATE_DIR || path.join(__dirname, 'data');
+// Leaderboard seasons run SEASON_LENGTH_DAYS each, counted from SEASON_START (UTC)
+const SEASON_START = process.env.SEASON_START || '2025-01-06';
+const SEASON_LENGTH_DAYS = process.env.SEASON_LENGTH_DAYS ? Number(process.env.SEASON_LENGTH_DAYS) : 28;
+// Uploaded themes, one folder per theme with its theme.json and assets
+const THEMES_DIR = process.env.THEMES_DIR || path.join(__dirname, 'themes');
+const THEME_ASSET_MAX_MB = process.env.THEME_ASSET_MAX_MB ? Number(process.env.THEME_ASSET_MAX_MB) : 5;
+const AUTO_ROUNDS = process.env.AUTO_ROUNDS === 'true';
+const ROUND_COOLDOWN_SECONDS = process.env.ROUND_COOLDOWN_SECONDS ? Number(process.env.ROUND_COOLDOWN_SECONDS) : 30;
+const OPERATING_HOURS = process.env.OPERATING_HOURS || '';
+const MAX_ROUNDS_PER_DAY = process.env.MAX_ROUNDS_PER_DAY ? Number(process.env.MAX_ROUNDS_PER_DAY) : 0;
+// Overlay updates are batched and sent at most once per tick (10 per second by default)
+const BROADCAST_TICK_MS = process.env.BROADCAST_TICK_MS ? Number(process.env.BROADCAST_TICK_MS) : 100;
+const ANTI_SPAM = process.env.ANTI_SPAM !== 'false';
+const SPAM_COOLDOWN_MS = process.env.SPAM_COOLDOWN_MS ? Number(process.env.SPAM_COOLDOWN_MS) : 500;
+const SPAM_MAX_HITS_PER_SECOND = process.env.SPAM_MAX_HITS_PER_SECOND ? Number(process.env.SPAM_MAX_HITS_PER_SECOND) : 3;
+const SPAM_DUPLICATE_WINDOW_MS = process.env.SPAM_DUPLICATE_WINDOW_MS ? Number(process.env.SPAM_DUPLICATE_WINDOW_MS) : 1500;
+const BOT_SAMPLE_SIZE = process.env.BOT_SAMPLE_SIZE ? Number(process.env.BOT_SAMPLE_SIZE) : 10;
+const BOT_MIN_INTERVAL_MS = process.env.BOT_MIN_INTERVAL_MS ? Number(process.env.BOT_MIN_INTERVAL_MS) : 100;
+const BOT_MIN_JITTER_MS = process.env.BOT_MIN_JITTER_MS ? Number(process.env.BOT_MIN_JITTER_MS) : 15;
 const AUTHORITY_KEYPAIR_PATH = process.env.AUTHORITY_KEYPAIR_PATH ;
-const TREASURY_WALLET = process.env.TREASURY_WALLET;
+const TREASURY_WALLET = process.env.TREASURY_WALLET || (USE_MOCK_CHAIN ? loadMockKeypair('treasury').publicKey.toString() : undefined);
 const PROGRAM_ID_STR = process.env.PROGRAM_ID || 'FtQbMDA7w8a9icfbMkuTxxQ695Wp9e6RQFSGVjmYQgz3';
 const FEE_PERCENTAGE = process.env.FEE_PERCENTAGE ? Number(process.env.FEE_PERCENTAGE) : 5;
-const BETTING_DURATION = 60; // seconds
-const FIGHT_DURATION = 60;   // seconds
-const ADMIN_SECRET = process.env.ADMIN_SECRET || 'aaa';
-const ADMIN_WALLET = process.env.ADMIN_WALLET;
+// Defaults for rounds started without their own parameters
+const BETTING_DURATION = process.env.BETTING_DURATION ? Number(process.env.BETTING_DURATION) : 60; // seconds
+const FIGHT_DURATION = process.env.FIGHT_DURATION ? Number(process.env.FIGHT_DURATION) : 60;       // seconds
+// Admin wallets and their roles, "<address>:operator,<address>:viewer";
+// a lone ADMIN_WALLET is an operator
+const ADMIN_WALLETS = process.env.ADMIN_WALLETS || process.env.ADMIN_WALLET || '';
+const ADMIN_SESSION_MINUTES = process.env.ADMIN_SESSION_MINUTES ? Number(process.env.ADMIN_SESSION_MINUTES) : 15;
+const ADMIN_AUDIT_LOG = process.env.ADMIN_AUDIT_LOG || path.join(STATE_DIR, 'admin_audit.ndjson');
+const PAYOUT_MAX_ATTEMPTS = process.env.PAYOUT_MAX_ATTEMPTS ? Number(process.env.PAYOUT_MAX_ATTEMPTS) : 5;
+const PAYOUT_RETRY_BASE_SECONDS = process.env.PAYOUT_RETRY_BASE_SECONDS ? Number(process.env.PAYOUT_RETRY_BASE_SECONDS) : 2;
+// claim_payout instructions packed into one transaction (also capped by size and compute)
+const PAYOUT_MAX_CLAIMS_PER_TX = process.env.PAYOUT_MAX_CLAIMS_PER_TX ? Number(process.env.PAYOUT_MAX_CLAIMS_PER_TX) : 10;
+// Payout transactions in flight at once
+const PAYOUT_CONCURRENCY = process.env.PAYOUT_CONCURRENCY ? Number(process.env.PAYOUT_CONCURRENCY) : 4;
+// How long a round's bet accounts are served from memory before they are read again
+const BET_CACHE_TTL_MS = process.env.BET_CACHE_TTL_MS ? Number(process.env.BET_CACHE_TTL_MS) : 2000;
+// Lookups of a reported bet transaction before the notification is rejected, one second apart
+const BET_VERIFY_ATTEMPTS = process.env.BET_VERIFY_ATTEMPTS ? Number(process.env.BET_VERIFY_ATTEMPTS) : 3;
+// Bet limits in SOL; 0 turns the pool cap or the wallet exposure limit off
+const MIN_BET_SOL = process.env.MIN_BET_SOL ? Number(process.env.MIN_BET_SOL) : 0.01;
+const MAX_BET_SOL = process.env.MAX_BET_SOL ? Number(process.env.MAX_BET_SOL) : 10;
+const MAX_POOL_SOL = process.env.MAX_POOL_SOL ? Number(process.env.MAX_POOL_SOL) : 0;
+const MAX_WALLET_EXPOSURE_SOL = process.env.MAX_WALLET_EXPOSURE_SOL ? Number(process.env.MAX_WALLET_EXPOSURE_SOL) : 0;
+// Amounts offered as one-click buttons on the overlay
+const BET_PRESETS_SOL = (process.env.BET_PRESETS_SOL || '0.01,0.1,0.5,1').split(',').map(Number).filter(n => n > 0);
+const CHAT_SOURCE = process.env.CHAT_SOURCE || CHAT_SOURCE_TYPES.PUMPFUN;
+const CHAT_WS_URL = process.env.CHAT_WS_URL || 'ws://localhost:8080';
+const CHAT_REPLAY_FILE = process.env.CHAT_REPLAY_FILE;
+const CHAT_REPLAY_INTERVAL_MS = process.env.CHAT_REPLAY_INTERVAL_MS ? Number(process.env.CHAT_REPLAY_INTERVAL_MS) : 250;
+const CHAT_REPLAY_SPEED = process.env.CHAT_REPLAY_SPEED || '1';
+const CHAT_RECORDING = process.env.CHAT_RECORDING !== 'false';
+const CHAT_RECORDINGS_DIR = process.env.CHAT_RECORDINGS_DIR || path.join(__dirname, 'recordings');
+
+const { params: DEFAULT_ROUND_PARAMS, errors: defaultRoundParamErrors } = resolveRoundParams({}, {
+  bettingDuration: BETTING_DURATION,
+  fightDuration: FIGHT_DURATION,
+  initialHp: INITIAL_HP,
+  feePercentage: FEE_PERCENTAGE
+});
+if (defaultRoundParamErrors.length) {
+  console.error(`❌ Invalid default round parameters: ${defaultRoundParamErrors.join('; ')}`);
+  process.exit(1);
+}
+if (!(BROADCAST_TICK_MS >= 10)) {
+  console.error('❌ Invalid BROADCAST_TICK_MS: must be at least 10 milliseconds');
+  process.exit(1);
+}
 
-let fightEndingInProgress = false;
-let fightEndCalled = false;
+function loadBosses() {
+  try {
+    const { bosses, defaultId } = loadBossDefinitions(BOSSES_FILE);
+    const selected = DEFAULT_BOSS || defaultId;
+    if (!bosses.has(selected)) throw new Error(`DEFAULT_BOSS "${selected}" is not defined in ${BOSSES_FILE}`);
+    return { bosses, defaultId: selected };
+  } catch (error) {
+    console.error('❌ Invalid boss definitions:', error.message);
+    process.exit(1);
+  }
+}
+
+const { bosses: bossDefinitions, defaultId: DEFAULT_BOSS_ID } = loadBosses();
 
-const { PumpChatClient } = require('pump-chat-client');
+// Round parameters for a new round: the admin's overrides on top of the
+// defaults, with the chosen boss's own max HP as the default HP
+function buildRoundParams(overrides = {}) {
+  const bossId = (overrides && overrides.boss) || DEFAULT_BOSS_ID;
+  const boss = bossDefinitions.get(bossId);
+  if (!boss) return { params: null, errors: [`unknown boss "${bossId}"`] };
+
+  const { params, errors } = resolveRoundParams(overrides, {
+    ...DEFAULT_ROUND_PARAMS,
+    initialHp: boss.maxHp || DEFAULT_ROUND_PARAMS.initialHp
+  });
+  return { params: params && { ...params, boss: boss.id }, errors };
+}
+
+const defaultBossErrors = buildRoundParams().errors;
+if (defaultBossErrors.length) {
+  console.error(`❌ Default boss "${DEFAULT_BOSS_ID}" does not fit the round bounds: ${defaultBossErrors.join('; ')}`);
+  process.exit(1);
+}
 
 if (!fs.existsSync(EXPORT_DIR)) fs.mkdirSync(EXPORT_DIR, { recursive: true });
 
+let adminAuth;
+try {
+  adminAuth = new AdminAuth({
+    admins: parseAdminWallets(ADMIN_WALLETS),
+    sessionTtlMs: ADMIN_SESSION_MINUTES * 60 * 1000
+  });
+} catch (error) {
+  console.error('❌ Invalid admin configuration:', error.message);
+  process.exit(1);
+}
+if (!adminAuth.admins.size) {
+  console.warn('No ADMIN_WALLETS configured. Admin controls are disabled.');
+}
+const auditLog = new AuditLog({ filePath: ADMIN_AUDIT_LOG });
+
+let betLimits;
+try {
+  betLimits = new BetLimits({
+    minBet: Math.round(MIN_BET_SOL * LAMPORTS_PER_SOL),
+    maxBet: Math.round(MAX_BET_SOL * LAMPORTS_PER_SOL),
+    maxPool: Math.round(MAX_POOL_SOL * LAMPORTS_PER_SOL),
+    maxWalletExposure: Math.round(MAX_WALLET_EXPOSURE_SOL * LAMPORTS_PER_SOL),
+    presets: BET_PRESETS_SOL.map(sol => Math.round(sol * LAMPORTS_PER_SOL))
+  });
+} catch (error) {
+  console.error('❌ Invalid bet limits:', error.message);
+  process.exit(1);
+}
+
 // Validate required environment variables
 if (!TREASURY_WALLET) {
   console.error('TREASURY_WALLET environment variable is required');
   process.exit(1);
 }
 
+// Mock mode keeps its generated keys under STATE_DIR so a resumed round is
+// still owned by the same authority and treasury
+function loadMockKeypair(name) {
+  const filePath = path.join(STATE_DIR, `mock_${name}.json`);
+  if (fs.existsSync(filePath)) {
+    return Keypair.fromSecretKey(Uint8Array.from(JSON.parse(fs.readFileSync(filePath, 'utf8'))));
+  }
+  if (!fs.existsSync(STATE_DIR)) fs.mkdirSync(STATE_DIR, { recursive: true });
+  const keypair = Keypair.generate();
+  fs.writeFileSync(filePath, JSON.stringify(Array.from(keypair.secretKey)), 'utf8');
+  return keypair;
+}
+
 function getAnchorDiscriminator(name) {
   const hash = crypto.createHash('sha256').update(`account:${name}`).digest();
   return hash.slice(0, 8);
@@ -94,20 +268,39 @@ function getAnchorDiscriminator(name) {
 
 const BET_ACCOUNT_DISCRIMINATOR = getAnchorDiscriminator('BetAccount');
 
+// Load IDL
+const idl = JSON.parse(fs.readFileSync(path.join(__dirname, 'target', 'idl_new.json'), 'utf8'));
+
+const connection = USE_MOCK_CHAIN
+  ? new MockConnection({
+      idl,
+      programId: PROGRAM_ID_STR,
+      stateFile: path.join(STATE_DIR, 'mock_chain.json'),
+      airdropLamports: MOCK_AIRDROP_SOL * LAMPORTS_PER_SOL
+    })
+  : new Connection(SOLANA_RPC_URL, 'confirmed');
+if (USE_MOCK_CHAIN) {
+  console.log('🧪 SOLANA_MODE=mock - betting program runs in memory, no network required');
+}
+
 // Load authority keypair with better error handling
-const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
 let authorityKeypair;
 try {
-  // Check for Vercel env variable first (Base58 format)
-  if (!process.env.AUTHORITY_SECRET_KEY){
-    console.error('Missing AUTHORITY_SECRET_KEY');
-  }
+  if (USE_MOCK_CHAIN && !process.env.AUTHORITY_SECRET_KEY) {
+    authorityKeypair = loadMockKeypair('authority');
+    console.log('✅ Using local authority for mock chain');
+  } else {
+    // Check for Vercel env variable first (Base58 format)
+    if (!process.env.AUTHORITY_SECRET_KEY){
+      console.error('Missing AUTHORITY_SECRET_KEY');
+    }
     const bs58 = require('bs58');
     authorityKeypair = Keypair.fromSecretKey(
       bs58.decode(process.env.AUTHORITY_SECRET_KEY)
     );
     console.log('✅ Authority loaded from env variable');
     console.log('🔑 Authority address:', authorityKeypair.publicKey.toString());
+  }
   
   // Always log the address
   console.log('🔑 Authority Public Key:', authorityKeypair.publicKey.toString());
@@ -136,66 +329,184 @@ const provider = new AnchorProvider(connection, wallet, { commitment: 'confirmed
 const programId = new PublicKey(PROGRAM_ID_STR);
 const treasuryPubkey = new PublicKey(TREASURY_WALLET);
 
-// Load IDL
-const idl = JSON.parse(fs.readFileSync(path.join(__dirname, 'target', 'idl_new.json'), 'utf8'));
-const program = new Program(idl, provider);
-
-// Game phases
-const GAME_PHASES = {
-  IDLE: 'idle',
-  BETTING: 'betting',
-  FIGHTING: 'fighting',
-  ENDED: 'ended'
-};
-
-// In-memory state
-let gamePhase = GAME_PHASES.IDLE;
-let currentRoundId = 0;
-let bossHP = INITIAL_HP;
-let userHits = new Map(); // username -> hits
-let chronological = []; // {username, msg, timestamp, delta}
-let lastHitter = null;
-let totalHits = 0;
-let clientsCount = 0;
-let pumpSocket = null;
-let reconnectAttempts = 0;
-const maxReconnectAttempts = 10;
-const reconnectInterval = 5000;
-
-// Game timing
-let bettingEndTime = null;
-let fightEndTime = null;
-let gameTimer = null;
-
-// Blockchain state
-let bettingRoundPDA = null;
-let escrowPDA = null;
-let onChainBets = new Map(); // walletAddress -> bet info
-let totalDeathBets = 0;
-let totalSurvivalBets = 0;
-let isConnecting = false;
-let isConnected = false;
+// PDAs are derived from PROGRAM_ID, so instructions must go there too, not to the IDL's address
+const program = new Program({ ...idl, address: PROGRAM_ID_STR }, provider);
 
+// Round IDs seed the BettingRound PDA, so they must stay unique across coins
+// even when two rounds start in the same millisecond
+let lastRoundId = 0;
+function nextRoundId() {
+  lastRoundId = Math.max(Date.now(), lastRoundId + 1);
+  return lastRoundId;
+}
+
+// Bets, payouts and fees as the program's events report them, routed to the
+// game whose round they belong to
+const programEvents = new ProgramEvents({ program, connection });
+
+function gameForRound(roundId) {
+  return rooms.all().find(game => game.currentRoundId === roundId) || null;
+}
+
+programEvents.on('bet_placed', (bet) => {
+  const game = gameForRound(bet.roundId);
+  if (game) game.handleBetPlaced(bet);
+});
+programEvents.on('payout_claimed', (payout) => {
+  // Kept on the job for the round's payouts export, whichever round it is
+  payoutQueue.recordPaid({ roundId: payout.roundId, bettor: payout.bettor, amount: payout.totalPayout, signature: payout.signature });
+  const game = gameForRound(payout.roundId);
+  if (game) game.handlePayoutClaimed(payout);
+});
+programEvents.on('fees_claimed', (fees) => {
+  const game = gameForRound(fees.roundId);
+  if (game) game.handleFeesClaimed(fees);
+});
+
+// Relays bets signed in the player's wallet (/api/submit-bet)
+const txRelay = new TransactionRelay({ connection });
+
+// Bet accounts per round, shared by live totals, settlement and /api/bet-status
+const betCache = new BetCache({
+  program,
+  connection,
+  programId,
+  betAccountDiscriminator: BET_ACCOUNT_DISCRIMINATOR,
+  ttlMs: BET_CACHE_TTL_MS
+});
+
+// Winner payouts for every coin go through one persisted queue, several
+// claim_payout instructions per transaction
+const payoutBatcher = new PayoutBatcher({
+  program,
+  authorityKeypair,
+  maxClaimsPerTransaction: PAYOUT_MAX_CLAIMS_PER_TX
+});
+const payoutQueue = new PayoutQueue({
+  filePath: path.join(STATE_DIR, 'payouts.json'),
+  maxAttempts: PAYOUT_MAX_ATTEMPTS,
+  baseDelayMs: PAYOUT_RETRY_BASE_SECONDS * 1000,
+  concurrency: PAYOUT_CONCURRENCY,
+  packBatches: (jobs) => payoutBatcher.pack(jobs),
+  sendBatch: (jobs) => payoutBatcher.send(jobs),
+  findClaimed: async (jobs) => {
+    const betAccounts = await program.account.betAccount.fetchMultiple(jobs.map(job => new PublicKey(job.betAccount)));
+    return Promise.all(betAccounts.map(async (betAccount, i) => {
+      if (!betAccount || !betAccount.payoutClaimed) return false;
+      // Claimed before a crash or by someone else: the export still wants the amount
+      const payout = await programEvents.findPayout(jobs[i]).catch(() => null);
+      return payout ? { amount: payout.totalPayout, signature: payout.signature } : true;
+    }));
+  }
+});
+
+// Settled rounds and their bets for every coin, behind /api/players/:wallet
+const betHistory = new BetHistory({ filePath: path.join(STATE_DIR, 'bet_history.ndjson') });
+
+// Finished rounds of every coin from their exports, behind /api/rounds
+const roundArchive = new RoundArchive({ dir: EXPORT_DIR, indexPath: path.join(STATE_DIR, 'round_index.json') });
+
+// Damage, last hits, fights and boss kills per chatter across rounds, behind /api/leaderboards
+let leaderboards;
+try {
+  leaderboards = new Leaderboards({
+    filePath: path.join(STATE_DIR, 'leaderboard_rounds.ndjson'),
+    seasonStart: Date.parse(SEASON_START),
+    seasonLengthDays: SEASON_LENGTH_DAYS
+  });
+} catch (error) {
+  console.error('❌ Invalid leaderboard seasons:', error.message);
+  process.exit(1);
+}
+
+// Theme of each coin's overlays: boss art, palette, font, sounds and messages
+const themes = new ThemeStore({ dir: THEMES_DIR, statePath: path.join(STATE_DIR, 'active_themes.json') });
+
+let rooms;
+try {
+  rooms = new RoomManager({
+    coins: COIN_ADDRESSES.length ? COIN_ADDRESSES : [''],
+    createGame: (coinAddress) => createGame({
+      coinAddress,
+      io,
+      stateDir: path.join(STATE_DIR, 'coins', coinAddress || 'default'),
+      config: {
+        EXPORT_DIR,
+        PROGRAM_ID_STR,
+        CHAT_SOURCE,
+        CHAT_WS_URL,
+        CHAT_REPLAY_FILE,
+        CHAT_REPLAY_INTERVAL_MS,
+        CHAT_REPLAY_SPEED,
+        CHAT_RECORDING,
+        CHAT_RECORDINGS_DIR,
+        KEYWORD_RULES_FILE,
+        TRIGGER_KEYWORDS,
+        HEAL_KEYWORDS,
+        ANTI_SPAM,
+        SPAM_COOLDOWN_MS,
+        SPAM_MAX_HITS_PER_SECOND,
+        SPAM_DUPLICATE_WINDOW_MS,
+        BOT_SAMPLE_SIZE,
+        BOT_MIN_INTERVAL_MS,
+        BOT_MIN_JITTER_MS,
+        AUTO_ROUNDS,
+        ROUND_COOLDOWN_SECONDS,
+        OPERATING_HOURS,
+        MAX_ROUNDS_PER_DAY,
+        BROADCAST_TICK_MS
+      },
+      program,
+      connection,
+      programId,
+      authorityKeypair,
+      treasuryPubkey,
+      bossDefinitions,
+      defaultBossId: DEFAULT_BOSS_ID,
+      buildRoundParams,
+      nextRoundId,
+      getBettingRoundPDA,
+      getEscrowPDA,
+      betCache,
+      payoutQueue,
+      betHistory,
+      roundArchive,
+      leaderboards,
+      themes
+    })
+  });
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
+
+// Requests and sockets pick their coin with ?coin=<address> (or "coin" in a
+// POST body); without one they get the default coin
+function getRequestGame(req, res) {
+  const coin = (req.body && req.body.coin) || req.query.coin;
+  const game = rooms.get(coin);
+  if (!game) res.status(404).json({ error: `Unknown coin ${coin}`, coins: rooms.list() });
+  return game;
+}
+
+let clientsCount = 0;
 // Serve static overlay page and assets
 app.use(express.static(path.join(__dirname, 'public')));
+// Uploaded files are served as what their extension says and nothing else
+app.use('/themes', express.static(THEMES_DIR, {
+  setHeaders: (res) => res.setHeader('X-Content-Type-Options', 'nosniff')
+}));
 app.use(express.json());
 
 // API endpoints
+app.get('/api/coins', (req, res) => {
+  res.json({ coins: rooms.list() });
+});
+
 app.get('/api/game-status', (req, res) => {
-  res.json({
-    gamePhase,
-    currentRoundId,
-    bossHP,
-    maxHP: INITIAL_HP,
-    totalHits,
-    coinAddress: COIN_ADDRESS,
-    programId: PROGRAM_ID_STR,
-    bettingEndTime,
-    fightEndTime,
-    totalDeathBets: totalDeathBets / LAMPORTS_PER_SOL,
-    totalSurvivalBets: totalSurvivalBets / LAMPORTS_PER_SOL,
-    totalBets: onChainBets.size
-  });
+  const game = getRequestGame(req, res);
+  if (!game) return;
+  res.json({ ...game.getStatus(), betLimits: betLimits.describe() });
 });
 
 app.get('/api/betting-round/:roundId', async (req, res) => {
@@ -223,54 +534,66 @@ app.get('/api/betting-round/:roundId', async (req, res) => {
   }
 });
 
-app.post('/api/bet-notification', (req, res) => {
-  try {
-    const { walletAddress, username, amount, prediction, signature } = req.body;
-    
-    console.log(`Bet notification received: ${username} (${walletAddress}) bet ${amount} SOL on ${prediction}`);
-    
-    onChainBets.set(walletAddress, {
-      username,
-      amount: amount * LAMPORTS_PER_SOL,
-      prediction,
-      signature,
-      timestamp: Date.now()
-    });
-    
-    if (prediction === 'death') {
-      totalDeathBets += amount * LAMPORTS_PER_SOL;
-    } else {
-      totalSurvivalBets += amount * LAMPORTS_PER_SOL;
+// The bet that transaction `signature` placed, looked up to
+// BET_VERIFY_ATTEMPTS times one second apart: the RPC node may not have
+// caught up with the confirmation yet
+async function verifyBetWithRetry({ signature, walletAddress, roundId }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await programEvents.verifyBet({ signature, walletAddress, roundId });
+    } catch (error) {
+      if (error.message !== 'Transaction not found' || attempt >= BET_VERIFY_ATTEMPTS) throw error;
+      await new Promise(resolve => setTimeout(resolve, 1000));
     }
-    
-    io.emit('betting_update', {
-      totalDeathBets: totalDeathBets / LAMPORTS_PER_SOL,
-      totalSurvivalBets: totalSurvivalBets / LAMPORTS_PER_SOL,
-      totalBets: onChainBets.size
-    });
-    
-    res.json({ success: true, message: 'Bet notification received' });
+  }
+}
+
+// Clients report their confirmed bet transaction; only what the chain
+// recorded for it is counted, never the amounts in the request
+app.post('/api/bet-notification', async (req, res) => {
+  const game = getRequestGame(req, res);
+  if (!game) return;
+  const { walletAddress, signature } = req.body;
+  
+  console.log(`Bet notification received: ${walletAddress} (${signature})`);
+  
+  let bet;
+  try {
+    bet = await verifyBetWithRetry({ signature, walletAddress, roundId: game.currentRoundId });
   } catch (error) {
-    console.error('Error processing bet notification:', error);
-    res.status(500).json({ error: 'Error processing bet notification' });
+    console.warn(`Rejected bet notification from ${walletAddress}:`, error.message);
+    return res.status(400).json({ error: error.message });
   }
+  
+  game.handleBetPlaced(bet);
+  res.json({ success: true, message: 'Bet verified', bet: { amount: bet.amount / LAMPORTS_PER_SOL, prediction: bet.prediction } });
 });
 
-app.get('/api/current-round', (req, res) => {
+// Payout multiplier of each side, the projected payout of a bet of `amount` SOL
+// (default 0.1) and what each side stands to win after fees
+app.get('/api/odds', (req, res) => {
+  const game = getRequestGame(req, res);
+  if (!game) return;
+  const amount = req.query.amount === undefined ? 0.1 : Number(req.query.amount);
+  const amountLamports = Math.floor(amount * LAMPORTS_PER_SOL);
+  // Less than a lamport would round down to a bet of nothing
+  if (!Number.isFinite(amount) || amountLamports < 1) {
+    return res.status(400).json({ error: 'amount must be a number of SOL, at least 1 lamport (0.000000001)' });
+  }
   res.json({
-    gamePhase,
-    currentRoundId,
-    programId: PROGRAM_ID_STR,
-    bettingRoundPDA: bettingRoundPDA ? bettingRoundPDA.toString() : null,
-    escrowPDA: escrowPDA ? escrowPDA.toString() : null,
-    bettingEndTime,
-    fightEndTime,
-    totalDeathBets: totalDeathBets / LAMPORTS_PER_SOL,
-    totalSurvivalBets: totalSurvivalBets / LAMPORTS_PER_SOL,
-    totalBets: onChainBets.size
+    coinAddress: game.coinAddress,
+    gamePhase: game.gamePhase,
+    currentRoundId: game.currentRoundId,
+    ...game.getOdds(amountLamports)
   });
 });
 
+app.get('/api/current-round', (req, res) => {
+  const game = getRequestGame(req, res);
+  if (!game) return;
+  res.json(game.getCurrentRound());
+});
+
 async function getRobustBlockhash(connection, commitment) {
     let attempts = 0;
     while (attempts < 3) { // Try up to 3 times
@@ -295,25 +618,31 @@ async function getRobustBlockhash(connection, commitment) {
 
 
 app.post('/api/place-bet', async (req, res) => {
+  const game = getRequestGame(req, res);
+  if (!game) return;
+  let releaseBet = () => {};
   try {
     const { walletAddress, username, amount, prediction } = req.body;
+    const { currentRoundId, bettingRoundPDA, escrowPDA } = game;
     
     // 1. Initial validation
-    if (gamePhase !== GAME_PHASES.BETTING || !currentRoundId) {
+    if (game.gamePhase !== GAME_PHASES.BETTING || !currentRoundId) {
       return res.status(400).json({ error: 'Betting is closed or no round is active' });
     }
     
     const bettor = new PublicKey(walletAddress);
     const [betPDA] = getBetPDA(currentRoundId, bettor);
-    const amountLamports = Math.floor(amount * LAMPORTS_PER_SOL);
+    const amountLamports = Math.floor(Number(amount) * LAMPORTS_PER_SOL);
     
-    // 2. Check for existing bet (using a more concise try/catch)
-    try {
-      // If this fetch succeeds, the bet exists.
-      await program.account.betAccount.fetch(betPDA);
+    const limitError = checkBetLimits(game, walletAddress, amountLamports);
+    if (limitError) return res.status(400).json(limitError);
+    // Only the mock chain sends the bet from here; a real one is checked
+    // and held again when the signed transaction comes back to /api/submit-bet
+    if (USE_MOCK_CHAIN) releaseBet = game.reserveBet(walletAddress, amountLamports);
+    
+    // 2. Check for existing bet (the program rejects duplicates anyway, this just fails early)
+    if (await betCache.get(currentRoundId, bettor.toString())) {
       return res.status(400).json({ error: 'Bet already placed for this round' });
-    } catch (err) {
-      // If fetch fails, the bet doesn't exist. Proceed.
     }
     
     const predictionEnum = prediction === 'death' ? { death: {} } : { survival: {} };
@@ -350,6 +679,33 @@ app.post('/api/place-bet', async (req, res) => {
       requireAllSignatures: false,
       verifySignatures: false 
     });
+
+    // The mock chain does not check signatures, so submit straight away
+    // instead of round-tripping through the browser wallet
+    if (USE_MOCK_CHAIN) {
+      let signature;
+      try {
+        signature = await connection.sendRawTransaction(serializedTx);
+      } catch (error) {
+        const anchorError = AnchorError.parse(error.logs);
+        if (!anchorError) throw error;
+        return res.status(400).json({
+          error: anchorError.error.errorMessage,
+          code: anchorError.error.errorCode.code
+        });
+      }
+      betCache.invalidate(currentRoundId);
+      // Counted before its hold is released, not only when the log subscription gets to it
+      const bet = await programEvents.verifyBet({ signature, walletAddress: bettor.toString(), roundId: currentRoundId }).catch(() => null);
+      if (bet) game.handleBetPlaced(bet);
+      return res.json({
+        success: true,
+        mock: true,
+        signature,
+        message: 'Bet placed on mock chain'
+      });
+    }
+
     const base64Tx = serializedTx.toString('base64');
     
     res.json({
@@ -365,789 +721,635 @@ app.post('/api/place-bet', async (req, res) => {
     // Use a more specific 400 for errors like invalid public key if possible, 
     // but 500 is fine for unhandled internal errors.
     res.status(500).json({ error: 'Error preparing bet transaction' });
+  } finally {
+    releaseBet();
   }
 });
 
-app.get('/api/bet-status/:walletAddress/:roundId', async (req, res) => {
+// What a wallet has at stake in the running rounds of every coin, in lamports
+function walletExposure(walletAddress) {
+  return rooms.all().reduce((sum, game) => sum + (game.getOpenBet(walletAddress) || 0), 0);
+}
+
+// null if a bet of `amount` lamports is within the bet limits, else { code, error, limit }
+function checkBetLimits(game, walletAddress, amount) {
+  return betLimits.check({
+    amount,
+    poolTotal: game.getPoolTotal(),
+    walletExposure: walletExposure(walletAddress)
+  });
+}
+
+// The relay only sends a place_bet by the fee payer into the game's current
+// round, optionally with compute budget instructions. Returns { amount } of
+// the bet, or { error } with what is wrong.
+function checkBetTransaction(tx, walletAddress, game) {
+  if (!tx.feePayer || tx.feePayer.toString() !== walletAddress) return { error: 'Transaction must be paid for by the betting wallet' };
+  if (!tx.verifySignatures()) return { error: 'Transaction is not signed by the betting wallet' };
+
+  const placeBetAccounts = program.idl.instructions.find(ix => ix.name === 'placeBet').accounts.map(account => account.name);
+  const amounts = [];
+  for (const ix of tx.instructions) {
+    if (ix.programId.equals(ComputeBudgetProgram.programId)) continue;
+    const decoded = ix.programId.equals(programId) ? program.coder.instruction.decode(ix.data) : null;
+    if (!decoded || decoded.name !== 'placeBet') return { error: 'Transaction may only place a bet' };
+    const bettingRound = ix.keys[placeBetAccounts.indexOf('bettingRound')];
+    const bettor = ix.keys[placeBetAccounts.indexOf('bettor')];
+    if (!bettingRound || !bettingRound.pubkey.equals(game.bettingRoundPDA)) return { error: 'Bet is not for the current round' };
+    if (!bettor || bettor.pubkey.toString() !== walletAddress) return { error: 'Bet is not for the betting wallet' };
+    amounts.push(decoded.data.amount.toNumber());
+  }
+  return amounts.length === 1 ? { amount: amounts[0] } : { error: 'Transaction must place exactly one bet' };
+}
+
+// Takes a bet transaction signed by the player's wallet, simulates it, sends
+// it until it confirms or its blockhash expires, and answers with the outcome
+app.post('/api/submit-bet', async (req, res) => {
+  const game = getRequestGame(req, res);
+  if (!game) return;
+  let releaseBet = () => {};
   try {
-    const { walletAddress, roundId } = req.params;
-    const bettor = new PublicKey(walletAddress);
-    const [betPDA] = getBetPDA(parseInt(roundId), bettor);
+    const { walletAddress, transaction, lastValidBlockHeight } = req.body;
+    const roundId = game.currentRoundId;
     
+    if (game.gamePhase !== GAME_PHASES.BETTING || !roundId) {
+      return res.status(400).json({ error: 'Betting is closed or no round is active' });
+    }
+    
+    let rawTransaction;
+    let tx;
     try {
-      const betAccount = await program.account.betAccount.fetch(betPDA);
-      res.json({
-        exists: true,
-        amount: betAccount.amount.toNumber() / LAMPORTS_PER_SOL,
-        prediction: Object.keys(betAccount.prediction)[0],
-        username: betAccount.username,
-        payoutClaimed: betAccount.payoutClaimed,
-        timestamp: betAccount.timestamp.toNumber()
+      rawTransaction = Buffer.from(transaction, 'base64');
+      tx = Transaction.from(rawTransaction);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid transaction' });
+    }
+    const checked = checkBetTransaction(tx, walletAddress, game);
+    if (checked.error) return res.status(400).json({ error: checked.error });
+    // The signed amount is what counts, whatever /api/place-bet was asked for
+    const limitError = checkBetLimits(game, walletAddress, checked.amount);
+    if (limitError) return res.status(400).json(limitError);
+    // Held against the limits until handleBetPlaced counts it or it fails
+    releaseBet = game.reserveBet(walletAddress, checked.amount);
+    
+    const simulation = await txRelay.simulate(rawTransaction);
+    if (simulation.err) {
+      const anchorError = AnchorError.parse(simulation.logs || []);
+      return res.status(400).json({
+        error: anchorError ? anchorError.error.errorMessage : 'Transaction simulation failed',
+        code: anchorError ? anchorError.error.errorCode.code : undefined
       });
+    }
+    
+    // A blockhash is valid for at most 150 blocks, so the client's
+    // lastValidBlockHeight can only make the wait shorter
+    const maxValidBlockHeight = (await connection.getBlockHeight('confirmed')) + 150;
+    const expiresAt = Number.isInteger(lastValidBlockHeight)
+      ? Math.min(lastValidBlockHeight, maxValidBlockHeight)
+      : maxValidBlockHeight;
+    const { signature, result, err } = await txRelay.sendAndConfirm(rawTransaction, expiresAt);
+    
+    if (result === RELAY_RESULTS.EXPIRED) {
+      return res.status(408).json({ error: 'Transaction expired before it was confirmed, please try again', signature });
+    }
+    if (result === RELAY_RESULTS.TIMED_OUT) {
+      return res.status(504).json({ error: 'Transaction was not confirmed in time, check your bet before trying again', signature });
+    }
+    if (result === RELAY_RESULTS.FAILED) {
+      return res.status(400).json({ error: `Transaction failed: ${JSON.stringify(err)}`, signature });
+    }
+    
+    let bet;
+    try {
+      bet = await verifyBetWithRetry({ signature, walletAddress, roundId });
     } catch (error) {
-      res.json({ exists: false });
+      // It is on-chain all the same; the log subscription counts it when it gets there
+      console.warn(`Could not read back confirmed bet ${signature}:`, error.message);
+      return res.json({ success: true, signature, bet: null });
     }
+    game.handleBetPlaced(bet);
+    res.json({
+      success: true,
+      signature,
+      bet: { amount: bet.amount / LAMPORTS_PER_SOL, prediction: bet.prediction, username: bet.username }
+    });
+  } catch (error) {
+    console.error('Error submitting bet transaction:', error);
+    res.status(500).json({ error: 'Error submitting bet transaction' });
+  } finally {
+    releaseBet();
+  }
+});
+
+app.get('/api/bet-status/:walletAddress/:roundId', async (req, res) => {
+  try {
+    const { walletAddress, roundId } = req.params;
+    const bettor = new PublicKey(walletAddress);
+    
+    const bet = await betCache.get(parseInt(roundId), bettor.toString());
+    if (!bet) return res.json({ exists: false });
+    res.json({
+      exists: true,
+      amount: bet.amount / LAMPORTS_PER_SOL,
+      prediction: bet.prediction,
+      username: bet.username,
+      payoutClaimed: bet.payoutClaimed,
+      timestamp: bet.timestamp
+    });
   } catch (error) {
     console.error('Error checking bet status:', error);
     res.status(500).json({ error: 'Error checking bet status' });
   }
 });
 
-app.get('/test', (req, res) => {
-  const user = req.query.user || 'tester';
-  const msg = req.query.msg || 'HIT';
-  if (gamePhase === GAME_PHASES.FIGHTING) {
-    handleChatMessage(user, msg, Date.now());
+app.get('/api/players/:wallet', (req, res) => {
+  let wallet;
+  try {
+    wallet = new PublicKey(req.params.wallet).toString();
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
   }
-  res.json({ ok: true, user, msg, gamePhase });
+  const recent = req.query.recent === undefined ? 10 : parseInt(req.query.recent, 10);
+  if (!(recent > 0 && recent <= 100)) {
+    return res.status(400).json({ error: 'recent must be between 1 and 100' });
+  }
+  res.json(betHistory.profile(wallet, { recent }));
 });
 
-// Handle overlay client connections
-io.on('connection', (socket) => {
-  clientsCount++;
-  console.log(`Overlay client connected. Total clients: ${clientsCount}`);
-  
-  socket.emit('state', {
-    gamePhase,
-    currentRoundId,
-    bossHP,
-    maxHP: INITIAL_HP,
-    top: getTop(3),
-    lastHitter,
-    chronological: chronological.slice(-10),
-    totalDeathBets: totalDeathBets / LAMPORTS_PER_SOL,
-    totalSurvivalBets: totalSurvivalBets / LAMPORTS_PER_SOL,
-    totalBets: onChainBets.size,
-    timeRemaining: gamePhase === GAME_PHASES.BETTING ? Math.max(0, bettingEndTime - Date.now()) : 0,
-    fightTimeRemaining: gamePhase === GAME_PHASES.FIGHTING ? Math.max(0, fightEndTime - Date.now()) : 0,
-    connected: pumpSocket?.readyState === WebSocket.OPEN || false
-  });
+// ms timestamp from an ISO date or a ms timestamp; a bare date as `to` covers that whole day
+function parseDateParam(value, endOfDay = false) {
+  if (value === undefined) return undefined;
+  if (/^\d+$/.test(value)) return Number(value);
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return NaN;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
 
-  socket.on('disconnect', () => {
-    clientsCount--;
-    console.log(`Overlay client disconnected. Total clients: ${clientsCount}`);
-  });
+function withExplorerUrl(round) {
+  return {
+    ...round,
+    explorerUrl: round.bettingRoundPDA ? EXPLORER_ADDRESS_URL.replace('{address}', round.bettingRoundPDA) : null
+  };
+}
 
-  socket.on('admin:reset', (data) => {
-  if (!data || !data.adminKey || !data.walletAddress) {
-    socket.emit('admin:error', { message: 'Missing credentials' });
-    return;
+app.get('/api/rounds', (req, res) => {
+  const { coin, outcome } = req.query;
+  const page = req.query.page === undefined ? 1 : parseInt(req.query.page, 10);
+  const limit = req.query.limit === undefined ? 20 : parseInt(req.query.limit, 10);
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to, true);
+
+  if (!(page >= 1)) return res.status(400).json({ error: 'page must be a positive number' });
+  if (!(limit >= 1 && limit <= 100)) return res.status(400).json({ error: 'limit must be between 1 and 100' });
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'from and to must be ISO dates or millisecond timestamps' });
   }
-  
-  if (data.walletAddress !== ADMIN_WALLET) {
-    socket.emit('admin:error', { message: 'Unauthorized wallet' });
-    return;
+  if (outcome !== undefined && !Object.values(ROUND_OUTCOMES).includes(outcome)) {
+    return res.status(400).json({ error: `outcome must be one of: ${Object.values(ROUND_OUTCOMES).join(', ')}` });
   }
-  
-  if (data.adminKey === ADMIN_SECRET) {
-    resetGame();
-  } else {
-    socket.emit('admin:error', { message: 'Invalid admin key' });
-  }
-});
-  
-  socket.on('admin:start_betting', (data) => {
-    console.log(data)
-    if (data && data.adminKey === ADMIN_SECRET && data.walletAddress == ADMIN_WALLET) {
-      startBettingPhase();
-    } else {
-      socket.emit('admin:error', { message: 'Unauthorized' });
-    }
-  });
-});
 
-server.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
-  console.log(`Overlay page: http://localhost:${PORT}/index.html`);
-  console.log(`Authority: ${authorityKeypair.publicKey.toString()}`);
-  console.log(`Treasury: ${TREASURY_WALLET}`);
-  console.log(`Program ID: ${PROGRAM_ID_STR}`);
-  console.log(`Trigger keywords: ${TRIGGER_KEYWORDS.join(', ')}`);
-  console.log(`Heal keywords: ${HEAL_KEYWORDS.join(', ')}`);
-  
-  connectToPumpFun();
+  const result = roundArchive.list({ coin, from, to, outcome, page, limit });
+  res.json({ ...result, rounds: result.rounds.map(withExplorerUrl) });
 });
 
-function connectToPumpFun() {
-  if (!COIN_ADDRESS) {
-    console.warn('No COIN_ADDRESS configured. Set this environment variable to monitor a specific coin.');
-    return;
+app.get('/api/rounds/:roundId', (req, res) => {
+  try {
+    const round = roundArchive.get(Number(req.params.roundId));
+    if (!round) return res.status(404).json({ error: 'Round not found' });
+    res.json(withExplorerUrl(round));
+  } catch (error) {
+    console.error('Error reading round export:', error);
+    res.status(500).json({ error: 'Error reading round export' });
   }
+});
 
-  // Prevent multiple simultaneous connections
-  if (isConnecting || isConnected) {
-    console.log('Already connected or connecting to pump.fun chat');
-    return;
-  }
+app.get('/api/leaderboards', (req, res) => {
+  const game = getRequestGame(req, res);
+  if (!game) return;
+  const period = req.query.period || LEADERBOARD_PERIODS.ALL_TIME;
+  const sort = req.query.sort || 'damage';
+  const limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit, 10);
 
-  isConnecting = true;
-  console.log('Connecting to pump.fun chat via pump-chat-client');
-  console.log('Monitoring coin:', COIN_ADDRESS);
-  
-  // Close existing connection if any
-  if (pumpSocket) {
-    try {
-      pumpSocket.disconnect();
-    } catch (e) {
-      // Ignore errors on disconnect
-    }
+  if (!Object.values(LEADERBOARD_PERIODS).includes(period)) {
+    return res.status(400).json({ error: `period must be one of: ${Object.values(LEADERBOARD_PERIODS).join(', ')}` });
   }
-  
-  pumpSocket = new PumpChatClient({
-    roomId: COIN_ADDRESS
-  });
-  
-  pumpSocket.on('connected', () => {
-    console.log('Successfully connected to pump.fun chat!');
-    reconnectAttempts = 0;
-    isConnecting = false;
-    isConnected = true;
-    broadcastConnectionStatus(true);
-  });
+  if (!LEADERBOARD_SORTS.includes(sort)) {
+    return res.status(400).json({ error: `sort must be one of: ${LEADERBOARD_SORTS.join(', ')}` });
+  }
+  if (!(limit >= 1 && limit <= 100)) return res.status(400).json({ error: 'limit must be between 1 and 100' });
 
-  pumpSocket.on('message', (messageData) => {
-    console.log(`<${messageData.username}> ${messageData.message}`);
-    if (gamePhase === GAME_PHASES.FIGHTING) {
-      handleChatMessage(messageData.username, messageData.message, new Date(messageData.timestamp).getTime());
-    }
-  });
+  res.json({ coinAddress: game.coinAddress, ...leaderboards.top({ coin: game.coinAddress, period, sort, limit }) });
+});
 
-  pumpSocket.on('error', (error) => {
-    console.error('Connection error:', error.message);
-    isConnected = false;
-    isConnecting = false;
-    broadcastConnectionStatus(false);
-  });
+// Every theme, and the full theme the coin's overlays show
+app.get('/api/themes', (req, res) => {
+  const game = getRequestGame(req, res);
+  if (!game) return;
+  res.json({ themes: themes.list(), active: themes.forCoin(game.coinAddress) });
+});
 
-  pumpSocket.on('disconnected', (reason) => {
-    console.log('Disconnected from pump.fun chat:', reason);
-    isConnected = false;
-    isConnecting = false;
-    broadcastConnectionStatus(false);
-    
-    if (reconnectAttempts < maxReconnectAttempts) {
-      reconnectAttempts++;
-      console.log(`Attempting to reconnect (${reconnectAttempts}/${maxReconnectAttempts})...`);
-      // Add delay before reconnecting to prevent rapid reconnection loops
-      setTimeout(() => {
-        connectToPumpFun();
-      }, reconnectInterval);
-    } else {
-      console.error('Max reconnection attempts reached. Please restart the server.');
-    }
-  });
-  
-  pumpSocket.connect();
-}
+app.get('/api/themes/:id', (req, res) => {
+  const theme = themes.get(req.params.id);
+  if (!theme) return res.status(404).json({ error: 'Theme not found' });
+  res.json(theme);
+});
 
-function broadcastConnectionStatus(connected) {
-  io.emit('connection_status', { connected });
+// Admin HTTP endpoints take the session token of a signed-in admin panel
+// as "Authorization: Bearer <token>"
+function authorizeRequest(req, res, action) {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const session = adminAuth.getSession(token);
+  if (!session) {
+    auditLog.record({ action, result: AUDIT_RESULTS.DENIED, details: 'not signed in' });
+    res.status(401).json({ error: 'Sign in as admin first' });
+    return null;
+  }
+  if (!adminAuth.can(session.role, action)) {
+    auditLog.record({ walletAddress: session.walletAddress, role: session.role, action, result: AUDIT_RESULTS.DENIED, details: 'role not allowed' });
+    res.status(403).json({ error: `The ${session.role} role cannot ${action.replace('_', ' ')}` });
+    return null;
+  }
+  return session;
 }
 
-// Utility functions for Solana PDAs
-function getBettingRoundPDA(roundId) {
-  return PublicKey.findProgramAddressSync(
-    [Buffer.from('betting_round'), new BN(roundId).toArrayLike(Buffer, 'le', 8)],
-    programId
-  );
-}
+const lamportsToSol = (lamports) => lamports / LAMPORTS_PER_SOL;
 
-function getEscrowPDA(roundId) {
-  return PublicKey.findProgramAddressSync(
-    [Buffer.from('escrow'), new BN(roundId).toArrayLike(Buffer, 'le', 8)],
-    programId
-  );
+function formatPayoutJob(job) {
+  return {
+    ...job,
+    betAmount: lamportsToSol(job.betAmount),
+    prizeShare: lamportsToSol(job.prizeShare),
+    totalPayout: lamportsToSol(job.totalPayout)
+  };
 }
 
-function getBetPDA(roundId, bettor) {
-  return PublicKey.findProgramAddressSync(
-    [
-      Buffer.from('bet'),
-      new BN(roundId).toArrayLike(Buffer, 'le', 8),
-      bettor.toBuffer()
-    ],
-    programId
-  );
+// What a round still owes its winners (and the treasury) against its escrow balance
+async function reconcileRound(roundId) {
+  const [bettingRoundPDA] = getBettingRoundPDA(roundId);
+  const [escrowPDA] = getEscrowPDA(roundId);
+  const bettingRoundAccount = await program.account.bettingRound.fetchNullable(bettingRoundPDA);
+  const escrowBalance = await connection.getBalance(escrowPDA);
+
+  let unclaimedFee = 0;
+  if (bettingRoundAccount && !bettingRoundAccount.payoutsProcessed) {
+    const deathWon = bettingRoundAccount.bossDefeated;
+    const totalWinnerBets = (deathWon ? bettingRoundAccount.totalDeathBets : bettingRoundAccount.totalSurvivalBets).toNumber();
+    const totalLoserBets = (deathWon ? bettingRoundAccount.totalSurvivalBets : bettingRoundAccount.totalDeathBets).toNumber();
+    unclaimedFee = totalWinnerBets === 0
+      ? escrowBalance
+      : Math.floor(totalLoserBets * bettingRoundAccount.feePercentage / 100);
+  }
+
+  const report = payoutQueue.reconcile(roundId, { escrowBalance, unclaimedFee });
+  return {
+    ...report,
+    phase: bettingRoundAccount ? Object.keys(bettingRoundAccount.phase)[0] : null,
+    feesClaimed: bettingRoundAccount ? bettingRoundAccount.payoutsProcessed : null,
+    expectedPayouts: lamportsToSol(report.expectedPayouts),
+    confirmedPayouts: lamportsToSol(report.confirmedPayouts),
+    outstandingPayouts: lamportsToSol(report.outstandingPayouts),
+    unclaimedFee: lamportsToSol(report.unclaimedFee),
+    escrowBalance: lamportsToSol(report.escrowBalance),
+    surplus: lamportsToSol(report.surplus)
+  };
 }
 
-// Game phase management
-async function startBettingPhase() {
-  if (gamePhase !== GAME_PHASES.IDLE && gamePhase !== GAME_PHASES.ENDED) {
-    console.log('Cannot start betting phase - game is already in progress');
-    return;
+// ?state=failed&roundId=<id>&coin=<address>, all optional
+app.get('/api/admin/payouts', (req, res) => {
+  if (!authorizeRequest(req, res, 'view_payouts')) return;
+  const { state, coin } = req.query;
+  if (state && !Object.values(PAYOUT_STATES).includes(state)) {
+    return res.status(400).json({ error: `state must be one of: ${Object.values(PAYOUT_STATES).join(', ')}` });
   }
-  
+  const jobs = payoutQueue.list({
+    state,
+    coin,
+    roundId: req.query.roundId ? parseInt(req.query.roundId) : undefined
+  });
+  res.json({ payouts: jobs.map(formatPayoutJob) });
+});
+
+// Body: { ids: [...] } or { roundId } to retry every failed payout of a round
+app.post('/api/admin/payouts/retry', async (req, res) => {
+  const session = authorizeRequest(req, res, 'retry_payouts');
+  if (!session) return;
+  const { ids, roundId } = req.body || {};
+  const targetIds = Array.isArray(ids)
+    ? ids
+    : payoutQueue.list({ state: PAYOUT_STATES.FAILED, roundId: roundId ? parseInt(roundId) : undefined }).map(job => job.id);
+
+  const retried = payoutQueue.retry(targetIds);
+  auditLog.record({
+    walletAddress: session.walletAddress,
+    role: session.role,
+    action: 'retry_payouts',
+    result: AUDIT_RESULTS.OK,
+    details: { ids: retried.map(job => job.id) }
+  });
+  payoutQueue.processDue().catch(error => console.error('Error processing payouts:', error));
+  res.json({ retried: retried.map(formatPayoutJob) });
+});
+
+// ?roundId=<id> for one round, otherwise every round with unconfirmed payouts
+app.get('/api/admin/payouts/reconciliation', async (req, res) => {
+  if (!authorizeRequest(req, res, 'view_payouts')) return;
   try {
-    resetGame();
-    fightEndingInProgress = false;
-    fightEndCalled = false;
-    currentRoundId = Date.now();
-    
-    const [bettingRoundPDAResult] = getBettingRoundPDA(currentRoundId);
-    const [escrowPDAResult] = getEscrowPDA(currentRoundId);
-    bettingRoundPDA = bettingRoundPDAResult;
-    escrowPDA = escrowPDAResult;
-    
-    if (program) {
-      console.log('Initializing betting round on blockchain...');
-      const authorityPubkey = authorityKeypair.publicKey.toBase58();
-      console.log("Authority Public Key:", authorityPubkey);
-      
-      const tx = await program.methods
-        .initializeBettingRound(
-          new BN(currentRoundId),
-          new BN(BETTING_DURATION),
-          new BN(FIGHT_DURATION),
-          INITIAL_HP,
-          FEE_PERCENTAGE
-        )
-        .accounts({
-          bettingRound: bettingRoundPDA,
-          escrow: escrowPDA,
-          authority: authorityKeypair.publicKey,
-          treasury: treasuryPubkey,
-          systemProgram: SystemProgram.programId,
-        })
-        .signers([authorityKeypair])
-        .rpc();
-      
-      console.log('Betting round initialized on blockchain:', tx);
-    }
-    
-    gamePhase = GAME_PHASES.BETTING;
-    bettingEndTime = Date.now() + (BETTING_DURATION * 1000);
-    
-    console.log('Betting phase started! Users have 1 minute to place bets.');
-    
-    io.emit('phase_change', {
-      gamePhase,
-      currentRoundId,
-      timeRemaining: BETTING_DURATION * 1000,
-      message: 'Betting phase started! Place your bets on boss death or survival!',
-      bettingRoundPDA: bettingRoundPDA.toString(),
-      escrowPDA: escrowPDA.toString()
-    });
-    
-    gameTimer = setTimeout(() => {
-      startFightingPhase();
-    }, BETTING_DURATION * 1000);
-    
+    const roundIds = req.query.roundId ? [parseInt(req.query.roundId)] : payoutQueue.openRounds();
+    const reports = [];
+    for (const roundId of roundIds) reports.push(await reconcileRound(roundId));
+    res.json({ rounds: reports });
   } catch (error) {
-    console.error('Error starting betting phase:', error);
-    gamePhase = GAME_PHASES.IDLE;
+    console.error('Error reconciling payouts:', error);
+    res.status(500).json({ error: 'Error reconciling payouts' });
   }
-}
+});
 
-async function startFightingPhase(retryCount = 0) {
-  if (gamePhase !== GAME_PHASES.BETTING) return;
-  
+// Body: the theme.json of theme :id, replacing it if it exists
+app.put('/api/admin/themes/:id', (req, res) => {
+  const session = authorizeRequest(req, res, 'manage_themes');
+  if (!session) return;
+  const { id } = req.params;
   try {
-    if (program) {
-      console.log('Starting fight phase on blockchain...');
-      
-      const tx = await program.methods
-        .startFightPhase()
-        .accounts({
-          bettingRound: bettingRoundPDA,
-          authority: authorityKeypair.publicKey,
-        })
-        .rpc();
-      
-      console.log('Fight phase started on blockchain:', tx);
-    }
-    
-    gamePhase = GAME_PHASES.FIGHTING;
-    fightEndTime = Date.now() + (FIGHT_DURATION * 1000);
-    
-    if (program) {
-      await loadBettingData();
-    }
-    
-    console.log('Fighting phase started! Raid begins now.');
-    
-    io.emit('phase_change', {
-      gamePhase,
-      timeRemaining: FIGHT_DURATION * 1000,
-      message: 'Raid started! You have 1 minute to defeat the boss!'
-    });
-    
-    gameTimer = setTimeout(() => {
-      endFight();
-    }, FIGHT_DURATION * 1000);
-    
+    const theme = themes.save(id, req.body);
+    auditLog.record({ walletAddress: session.walletAddress, role: session.role, action: 'save_theme', details: { id } });
+    res.json(theme);
   } catch (error) {
-    if (error.error?.errorCode?.code === 'BettingStillActive' && retryCount < 5) {
-      console.log(`Betting still active on-chain, retrying in 2 seconds (attempt ${retryCount + 1}/5)...`);
-      setTimeout(() => startFightingPhase(retryCount + 1), 2000);
-      return;
-    }
-    
-    console.error('Error starting fight phase:', error);
-    
-    if (retryCount >= 5) {
-      console.error('Failed to start fight phase after 5 retry attempts');
-      io.emit('phase_change', {
-        gamePhase: GAME_PHASES.IDLE,
-        message: 'Failed to start fight phase. Please try starting a new betting round.'
-      });
-      gamePhase = GAME_PHASES.IDLE;
-    }
+    auditLog.record({ walletAddress: session.walletAddress, role: session.role, action: 'save_theme', result: AUDIT_RESULTS.FAILED, details: { id, error: error.message } });
+    res.status(400).json({ error: error.message });
   }
-}
+});
 
-async function loadBettingData() {
+// Body: the raw image or sound, e.g. curl -T boss.png with a Content-Type of image/png
+app.put('/api/admin/themes/:id/assets/:file', express.raw({ type: ['image/*', 'audio/*'], limit: `${THEME_ASSET_MAX_MB}mb` }), (req, res) => {
+  const session = authorizeRequest(req, res, 'manage_themes');
+  if (!session) return;
+  const { id, file } = req.params;
+  if (!Buffer.isBuffer(req.body) || !req.body.length) {
+    return res.status(400).json({ error: 'Send the file as the request body with an image/* or audio/* Content-Type' });
+  }
   try {
-    if (!bettingRoundPDA || !program) return;
-    
-    const bettingRoundAccount = await program.account.bettingRound.fetch(bettingRoundPDA);
-    
-    totalDeathBets = bettingRoundAccount.totalDeathBets.toNumber();
-    totalSurvivalBets = bettingRoundAccount.totalSurvivalBets.toNumber();
-    
-    console.log(`Loaded betting data - Death: ${totalDeathBets / LAMPORTS_PER_SOL} SOL, Survival: ${totalSurvivalBets / LAMPORTS_PER_SOL} SOL`);
-    console.log(`Total bets count: ${bettingRoundAccount.totalBetsCount.toNumber()}`);
-    
-    const roundIdBuffer = bettingRoundAccount.roundId.toArrayLike(Buffer, 'le', 8);
-
-    const betAccounts = await connection.getProgramAccounts(programId, {
-      filters: [
-        {
-          memcmp: {
-            offset: 0, 
-            bytes: bs58.encode(BET_ACCOUNT_DISCRIMINATOR),
-          }
-        },
-        {
-          memcmp: {
-            offset: 40, 
-            bytes: bs58.encode(roundIdBuffer),
-          }
-        }
-      ]
-    });
-    
-    console.log(`Found ${betAccounts.length} bet accounts on-chain`);
-    
-    onChainBets.clear();
-    for (const { pubkey, account } of betAccounts) {
-      try {
-        const betData = await program.account.betAccount.fetch(pubkey);
-        onChainBets.set(betData.bettor.toString(), {
-          username: betData.username,
-          amount: betData.amount.toNumber(),
-          prediction: Object.keys(betData.prediction)[0],
-          timestamp: betData.timestamp.toNumber()
-        });
-      } catch (err) {
-        console.error('Error parsing bet account:', err);
-      }
-    }
-    
-    io.emit('betting_update', {
-      totalDeathBets: totalDeathBets / LAMPORTS_PER_SOL,
-      totalSurvivalBets: totalSurvivalBets / LAMPORTS_PER_SOL,
-      totalBets: onChainBets.size
-    });
-    
+    const url = themes.saveAsset(id, file, req.body);
+    auditLog.record({ walletAddress: session.walletAddress, role: session.role, action: 'upload_theme_asset', details: { id, file, bytes: req.body.length } });
+    res.json({ url });
   } catch (error) {
-    console.error('Error loading betting data:', error);
-    throw error;
+    res.status(400).json({ error: error.message });
   }
-}
-
-// Timer broadcast for real-time updates
-setInterval(() => {
-  if (gamePhase === GAME_PHASES.BETTING && bettingEndTime) {
-    const timeRemaining = Math.max(0, bettingEndTime - Date.now());
-    io.emit('timer_update', {
-      phase: 'betting',
-      timeRemaining
-    });
-  } else if (gamePhase === GAME_PHASES.FIGHTING && fightEndTime) {
-    const timeRemaining = Math.max(0, fightEndTime - Date.now());
-    io.emit('timer_update', {
-      phase: 'fighting',
-      timeRemaining
-    });
-  }
-}, 100);
+});
 
-async function claimFees() {
-  if (!bettingRoundPDA || !escrowPDA || !program) return;
-  
+// Body: { id, coin }
+app.post('/api/admin/themes/activate', (req, res) => {
+  const session = authorizeRequest(req, res, 'manage_themes');
+  if (!session) return;
+  const game = getRequestGame(req, res);
+  if (!game) return;
   try {
-    console.log('Claiming fees from escrow...');
-    
-    const tx = await program.methods
-      .claimFees()
-      .accounts({
-        bettingRound: bettingRoundPDA,
-        escrow: escrowPDA,
-        treasury: treasuryPubkey,
-        authority: authorityKeypair.publicKey,
-        systemProgram: SystemProgram.programId,
-      })
-      .rpc();
-      
-    console.log('Fees claimed successfully:', tx);
+    const theme = themes.activate(game.coinAddress, req.body.id);
+    auditLog.record({ walletAddress: session.walletAddress, role: session.role, action: 'set_theme', coin: game.coinAddress, details: { id: theme.id } });
+    res.json(theme);
   } catch (error) {
-    console.error('Error claiming fees:', error);
+    res.status(400).json({ error: error.message });
   }
-}
+});
+
+app.get('/test', (req, res) => {
+  const game = getRequestGame(req, res);
+  if (!game) return;
+  const user = req.query.user || 'tester';
+  const msg = req.query.msg || 'HIT';
+  if (game.gamePhase === GAME_PHASES.FIGHTING) {
+    game.handleChatMessage(user, msg, Date.now());
+  }
+  res.json({ ok: true, coin: game.coinAddress, user, msg, gamePhase: game.gamePhase });
+});
 
-async function processPayouts() {
-  if (!bettingRoundPDA || !program) {
-    console.log('Cannot process payouts - no active round or program not loaded');
+// Handle overlay client connections. Each overlay joins the room of the coin
+// it asked for with ?coin=<address> and only gets that coin's events.
+io.on('connection', (socket) => {
+  const coin = socket.handshake.query.coin;
+  const game = rooms.get(coin);
+  if (!game) {
+    socket.emit('coin_error', { message: `Unknown coin ${coin}`, coins: rooms.list() });
+    socket.disconnect(true);
     return;
   }
+  socket.join(game.room);
+
+  clientsCount++;
+  console.log(`Overlay client connected to ${game.room}. Total clients: ${clientsCount}`);
   
-  try {
-    console.log('Processing payouts...');
-    
-    const bettingRoundAccount = await program.account.bettingRound.fetch(bettingRoundPDA);
-    
-    const bossDefeated = bossHP === 0;
-    const totalDeathBetsLamports = bettingRoundAccount.totalDeathBets.toNumber();
-    const totalSurvivalBetsLamports = bettingRoundAccount.totalSurvivalBets.toNumber();
-    
-    const winningPrediction = bossDefeated ? 'death' : 'survival';
-    const totalWinnerBets = bossDefeated ? totalDeathBetsLamports : totalSurvivalBetsLamports;
-    const totalLoserBets = bossDefeated ? totalSurvivalBetsLamports : totalDeathBetsLamports;
-    
-    console.log(`Boss ${bossDefeated ? 'defeated' : 'survived'}`);
-    console.log(`Winning side: ${winningPrediction}`);
-    console.log(`Total winner bets: ${totalWinnerBets / LAMPORTS_PER_SOL} SOL`);
-    console.log(`Total loser bets (prize pool): ${totalLoserBets / LAMPORTS_PER_SOL} SOL`);
-    
-    if (totalWinnerBets === 0) {
-      console.log('No winners - claiming fees only.');
-      await claimFees(); 
-      return;
+  socket.emit('state', {
+    ...game.getState(),
+    defaultRoundParams: DEFAULT_ROUND_PARAMS,
+    betLimits: betLimits.describe(),
+    bosses: Array.from(bossDefinitions.values()).map(({ id, name, maxHp }) => ({ id, name, maxHp })),
+    themes: themes.list(),
+    roundParamBounds: ROUND_PARAM_BOUNDS
+  });
+
+  socket.on('disconnect', () => {
+    clientsCount--;
+    console.log(`Overlay client disconnected. Total clients: ${clientsCount}`);
+  });
+
+  // Admin login: challenge -> wallet signature -> session bound to this socket
+  socket.on('admin:challenge', (data) => {
+    const walletAddress = data && data.walletAddress;
+    try {
+      socket.emit('admin:challenge', adminAuth.createChallenge(walletAddress));
+    } catch (error) {
+      auditLog.record({ walletAddress, action: 'challenge', coin: game.coinAddress, result: AUDIT_RESULTS.DENIED, details: error.message });
+      socket.emit('admin:error', { message: error.message });
     }
-    
-    const roundIdBuffer = bettingRoundAccount.roundId.toArrayLike(Buffer, 'le', 8);
-
-    const betAccounts = await connection.getProgramAccounts(programId, {
-      filters: [
-        {
-          memcmp: {
-            offset: 0, 
-            bytes: bs58.encode(BET_ACCOUNT_DISCRIMINATOR),
-          }
-        },
-        {
-          memcmp: {
-            offset: 40, 
-            bytes: bs58.encode(roundIdBuffer),
-          }
-        }
-      ]
-    });
-    
-    console.log(`Found ${betAccounts.length} bet accounts to process`);
-    
-    const payoutResults = [];
-    
-    for (const { pubkey, account } of betAccounts) {
-      try {
-        const betData = await program.account.betAccount.fetch(pubkey);
-        const betPrediction = Object.keys(betData.prediction)[0];
-        const betAmount = betData.amount.toNumber();
-        const bettor = betData.bettor;
-        
-        if (betPrediction === winningPrediction) {
-          const feeAmount = Math.floor(totalLoserBets * bettingRoundAccount.feePercentage / 100);
-          const prizePool = totalLoserBets - feeAmount;
-          const prizeShare = Math.floor((prizePool * betAmount) / totalWinnerBets);
-          const totalPayout = betAmount + prizeShare;
-          
-          console.log(`Winner: ${betData.username} - Bet: ${betAmount / LAMPORTS_PER_SOL} SOL, Prize: ${prizeShare / LAMPORTS_PER_SOL} SOL, Total: ${totalPayout / LAMPORTS_PER_SOL} SOL`);
-          
-          try {
-            const tx = await program.methods
-              .claimPayout()
-              .accounts({
-                bettingRound: bettingRoundPDA,
-                betAccount: pubkey,
-                escrow: escrowPDA,
-                bettor: bettor,
-                authority: authorityKeypair.publicKey,
-                systemProgram: SystemProgram.programId,
-              })
-              .rpc();
-            
-            console.log(`Payout processed for ${betData.username}: ${tx}`);
-            
-            payoutResults.push({
-              username: betData.username,
-              wallet: bettor.toString(),
-              betAmount: betAmount / LAMPORTS_PER_SOL,
-              prizeShare: prizeShare / LAMPORTS_PER_SOL,
-              totalPayout: totalPayout / LAMPORTS_PER_SOL,
-              signature: tx
-            });
-          } catch (payoutError) {
-            console.error(`Error processing payout for ${betData.username}:`, payoutError.message);
-          }
-        } else {
-          console.log(`Loser: ${betData.username} - Lost ${betAmount / LAMPORTS_PER_SOL} SOL`);
-        }
-      } catch (err) {
-        console.error('Error processing bet account:', err);
+  });
+
+  socket.on('admin:login', (data) => {
+    const { walletAddress, nonce, signature, token } = data || {};
+    let session;
+    try {
+      // A token from an earlier login on this page survives reconnects
+      if (token) {
+        session = adminAuth.getSession(token);
+        if (!session) throw new Error('Admin session expired, sign in again');
+        session = { token, ...session };
+      } else {
+        session = adminAuth.login(walletAddress, nonce, signature);
+        auditLog.record({ walletAddress, role: session.role, action: 'login', coin: game.coinAddress });
+      }
+    } catch (error) {
+      if (!token) {
+        auditLog.record({ walletAddress, action: 'login', coin: game.coinAddress, result: AUDIT_RESULTS.DENIED, details: error.message });
       }
+      socket.emit('admin:error', { message: error.message, session: false });
+      return;
     }
-    
-    await claimFees();
-
-    io.emit('payouts_processed', {
-      bossDefeated,
-      winningPrediction,
-      totalPrizePool: totalLoserBets / LAMPORTS_PER_SOL,
-      totalWinnerBets: totalWinnerBets / LAMPORTS_PER_SOL,
-      winningBets: payoutResults.length,
-      payouts: payoutResults
-    });
-    
-    console.log('Payout processing complete');
-    return payoutResults;
-  } catch (error) {
-    console.error('Error processing payouts:', error);
-    throw error;
+    socket.data.adminToken = session.token;
+    socket.emit('admin:session', session);
+  });
+
+  socket.on('admin:logout', () => {
+    const session = adminAuth.getSession(socket.data.adminToken);
+    if (session) auditLog.record({ walletAddress: session.walletAddress, role: session.role, action: 'logout', coin: game.coinAddress });
+    adminAuth.logout(socket.data.adminToken);
+    socket.data.adminToken = null;
+    socket.leave(game.adminRoom);
+  });
+
+  // Returns the socket's admin session when its role allows the action;
+  // refusals are audited and reported to the client
+  function authorize(action) {
+    const session = adminAuth.getSession(socket.data.adminToken);
+    if (!session) {
+      auditLog.record({ action, coin: game.coinAddress, result: AUDIT_RESULTS.DENIED, details: 'not signed in' });
+      socket.emit('admin:error', { message: 'Sign in as admin first', session: false });
+      return null;
+    }
+    if (!adminAuth.can(session.role, action)) {
+      auditLog.record({ walletAddress: session.walletAddress, role: session.role, action, coin: game.coinAddress, result: AUDIT_RESULTS.DENIED, details: 'role not allowed' });
+      socket.emit('admin:error', { message: `The ${session.role} role cannot ${action.replace('_', ' ')}` });
+      return null;
+    }
+    return session;
   }
-}
 
-async function endFight() {
-  if (fightEndingInProgress || fightEndCalled) {
-    console.log(`Fight end already in progress or completed. Skipping duplicate call (reason: ${reason})`);
-    return;
+  function audit(session, action, result = AUDIT_RESULTS.OK, details = null) {
+    auditLog.record({ walletAddress: session.walletAddress, role: session.role, action, coin: game.coinAddress, result, details });
   }
-  if (gamePhase !== GAME_PHASES.FIGHTING) return;
+
+  socket.on('admin:reset', () => {
+    const session = authorize('reset');
+    if (!session) return;
+    game.adminReset();
+    audit(session, 'reset');
+  });
   
-  try {
-      fightEndingInProgress = true;
-      fightEndCalled = true;
-    clearTimeout(gameTimer);
-    
-    const bossDefeated = bossHP === 0;
-    
-    console.log(`Ending fight. Boss ${bossDefeated ? 'defeated' : 'survived'}`);
-    console.log(`Final HP: ${bossHP}/${INITIAL_HP}`);
-    
-    if (program) {
-      console.log('Ending fight on blockchain');
-      // 🔑 CRITICAL FIX: Explicitly check the BN value being sent
-    const finalHP_BN = new BN(bossHP); 
-    
-    // 🔑 ADD THIS LOG TO VERIFY THE EXACT DATA SENT TO SOLANA
-    console.log(`[RPC PAYLOAD CHECK] Sending final_hp: ${bossHP} (BN value: ${finalHP_BN.toString()})`);
-    
-    const tx = await program.methods
-      .endFight(finalHP_BN) // Use the guaranteed-correct BN object
-      .accounts({
-        bettingRound: bettingRoundPDA,
-        authority: authorityKeypair.publicKey,
-      })
-      .rpc();
-      
-      console.log('Fight ended on blockchain:', tx);
-      await processPayouts();
+  socket.on('admin:start_betting', (data) => {
+    const session = authorize('start_betting');
+    if (!session) return;
+    const { params, errors } = buildRoundParams(data && data.params);
+    if (errors.length) {
+      audit(session, 'start_betting', AUDIT_RESULTS.FAILED, { errors });
+      socket.emit('admin:error', { message: `Invalid round parameters: ${errors.join('; ')}` });
+      return;
     }
-    
-    gamePhase = GAME_PHASES.ENDED;
-    
-    const results = buildResults(bossDefeated);
-    
-    io.emit('fight_ended', {
-      gamePhase,
-      bossDefeated,
-      results,
-      message: `Boss ${bossDefeated ? 'defeated' : 'survived'}! Processing payouts...`
+    game.startBettingPhase(params).then((started) => {
+      audit(session, 'start_betting', started ? AUDIT_RESULTS.OK : AUDIT_RESULTS.FAILED, { params, roundId: game.currentRoundId });
     });
-    
-    exportResults(results).then(() => {
-      console.log('Results exported.');
-    }).catch(err => console.error('Error exporting results:', err));
-  } catch (error) {
-    console.error('Error ending fight:', error);
-  }finally {
-    fightEndingInProgress = false;
-  }
-}
+  });
 
-function resetGame() {
-  gamePhase = GAME_PHASES.IDLE;
-  currentRoundId = 0;
-  bossHP = INITIAL_HP;
-  userHits = new Map();
-  chronological = [];
-  lastHitter = null;
-  totalHits = 0;
-  onChainBets = new Map();
-  totalDeathBets = 0;
-  totalSurvivalBets = 0;
-  bettingEndTime = null;
-  fightEndTime = null;
-  bettingRoundPDA = null;
-  escrowPDA = null;
-
-  fightEndingInProgress = false;
-  fightEndCalled = false;
-  
-  if (gameTimer) {
-    clearTimeout(gameTimer);
-    gameTimer = null;
-  }
-  
-  console.log(`Game reset! Boss HP: ${bossHP}/${INITIAL_HP}`);
-  
-  io.emit('game_reset', {
-    gamePhase,
-    bossHP,
-    maxHP: INITIAL_HP,
-    message: 'Game reset. Ready for new betting phase!'
+  // Admin panels join the coin's admin room to receive spam rejections and bot flags live
+  socket.on('admin:subscribe', () => {
+    const session = authorize('subscribe');
+    if (!session) return;
+    socket.join(game.adminRoom);
+    socket.emit('admin:spam_report', game.getSpamReport());
+    audit(session, 'subscribe');
   });
-}
 
-/**
- * Message handling & game logic (only during fighting phase)
- * HP is tracked client-side only - no RPC calls here!
- */
-async function handleChatMessage(username, message, timestamp = Date.now()) {
-  if (gamePhase !== GAME_PHASES.FIGHTING) return;
+  socket.on('admin:set_theme', (data) => {
+    const session = authorize('manage_themes');
+    if (!session) return;
+    const id = data && data.id;
+    try {
+      themes.activate(game.coinAddress, id);
+      audit(session, 'set_theme', AUDIT_RESULTS.OK, { id });
+    } catch (error) {
+      audit(session, 'set_theme', AUDIT_RESULTS.FAILED, { id, error: error.message });
+      socket.emit('admin:error', { message: error.message });
+    }
+  });
 
-  // 🛑 Safety check: If boss is already dead, stop processing new damage/heals
-  if (bossHP <= 0) {
-      console.log(`Boss is already defeated. Ignoring message from ${username}.`);
+  socket.on('admin:pause_rounds', () => {
+    const session = authorize('pause_rounds');
+    if (!session) return;
+    if (!game.roundScheduler) {
+      socket.emit('admin:error', { message: 'Automatic rounds are disabled (AUTO_ROUNDS)' });
       return;
-  }
-
-  const text = (message || '').toUpperCase();
-  let delta = 0;
-  
-  // 1. Check for ANY 'HIT' keyword presence
-  const hasHitKeyword = TRIGGER_KEYWORDS.some(k => 
-    k && text.includes(k.toUpperCase())
-  );
-  
-  // 2. Check for ANY 'HEAL' keyword presence
-  const hasHealKeyword = HEAL_KEYWORDS.some(k => 
-    k && text.includes(k.toUpperCase())
-  );
-
-  // 3. Determine the final delta (exactly -1, +1, or 0)
-  if (hasHitKeyword && !hasHealKeyword) {
-    // Only hit keywords found: Deal exactly 1 damage
-    delta = -1;
-  } else if (hasHealKeyword && !hasHitKeyword) {
-    // Only heal keywords found: Heal exactly 1 HP
-    delta = 1;
-  } 
-  // If both or neither are present, delta remains 0, and the function will return early.
-
+    }
+    game.roundScheduler.pause();
+    audit(session, 'pause_rounds');
+  });
 
-  if (delta === 0) return; // Exit if no valid, unambiguous command was found
+  socket.on('admin:resume_rounds', () => {
+    const session = authorize('resume_rounds');
+    if (!session) return;
+    if (!game.roundScheduler) {
+      socket.emit('admin:error', { message: 'Automatic rounds are disabled (AUTO_ROUNDS)' });
+      return;
+    }
+    game.roundScheduler.resume();
+    audit(session, 'resume_rounds');
+  });
+});
 
-  // The rest of the logic uses the calculated delta (-1 or +1)
-  const hitsDelta = Math.abs(delta); // This will always be 1 now
-  
-  // Update user statistics and logging
-  if (delta < 0) {
-    totalHits += hitsDelta; // Adds 1
-    const prev = userHits.get(username) || 0;
-    userHits.set(username, prev + hitsDelta); // Adds 1
-    lastHitter = username;
-    console.log(`${username} dealt ${hitsDelta} damage! Boss HP: ${Math.max(0, bossHP + delta)}/${INITIAL_HP}`);
+server.listen(PORT, () => {
+  console.log(`Server listening on http://localhost:${PORT}`);
+  console.log(`Overlay page: http://localhost:${PORT}/index.html`);
+  console.log(`Solana mode: ${SOLANA_MODE}`);
+  console.log(`Authority: ${authorityKeypair.publicKey.toString()}`);
+  console.log(`Treasury: ${TREASURY_WALLET}`);
+  console.log(`Program ID: ${PROGRAM_ID_STR}`);
+  if (KEYWORD_RULES_FILE) {
+    const { keywordRules } = rooms.get();
+    console.log(`Keyword rules: ${KEYWORD_RULES_FILE} (${keywordRules.rules.map(rule => rule.name).join(', ')})`);
   } else {
-    // Delta is 1 (Heal)
-    console.log(`${username} healed ${hitsDelta} HP! Boss HP: ${Math.min(INITIAL_HP, bossHP + delta)}/${INITIAL_HP}`);
+    console.log(`Trigger keywords: ${TRIGGER_KEYWORDS.join(', ')}`);
+    console.log(`Heal keywords: ${HEAL_KEYWORDS.join(', ')}`);
+  }
+  console.log(`Chat source: ${CHAT_SOURCE}`);
+  console.log(`State dir: ${STATE_DIR}`);
+  console.log(`Admin wallets: ${adminAuth.admins.size} (audit log: ${ADMIN_AUDIT_LOG})`);
+  for (const game of rooms.all()) {
+    console.log(`Coin ${game.coinAddress || '(none)'}: room ${game.room}, overlay http://localhost:${PORT}/index.html?coin=${game.coinAddress}, OBS source http://localhost:${PORT}/overlay.html?coin=${game.coinAddress}`);
   }
-
-  chronological.push({ username, message, timestamp, delta });
-
-  // Update the boss's HP, clamped between 0 and INITIAL_HP
-  bossHP = Math.max(0, Math.min(INITIAL_HP, bossHP + delta));
   
-  // Emit the update event
-  io.emit('update', {
-    bossHP,
-    maxHP: INITIAL_HP,
-    top: getTop(3),
-    lastHitter,
-    latest: chronological[chronological.length - 1],
-    timeRemaining: Math.max(0, fightEndTime - Date.now())
+  programEvents.start();
+  payoutQueue.start();
+  // Unreadable saved rounds are retried by the games themselves; anything
+  // else leaves a coin half started, so exit and let the process manager restart
+  rooms.start().catch(error => {
+    console.error('❌ Error starting the games:', error);
+    process.exit(1);
   });
+});
 
-  // 🚀 CRITICAL NEW LOGIC: Check for instant defeat 🚀
-  if (bossHP === 0) {
-      console.log("BOSS DEFEATED! Triggering immediate fight end sequence.");
-      
-      // Clear the timeout to prevent a delayed endFight call when the timer expires
-      if (gameTimer) {
-          clearTimeout(gameTimer);
-          gameTimer = null; // Important to null it out
-      }
-      
-      // The server is the authority; call the function that handles on-chain state change and payouts.
-      await endFight(); 
-  }
+// Utility functions for Solana PDAs
+function getBettingRoundPDA(roundId) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('betting_round'), new BN(roundId).toArrayLike(Buffer, 'le', 8)],
+    programId
+  );
 }
 
-function getTop(n = 3) {
-  const arr = Array.from(userHits.entries()).map(([username, hits]) => ({ username, hits }));
-  arr.sort((a, b) => b.hits - a.hits);
-  return arr.slice(0, n);
+function getEscrowPDA(roundId) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('escrow'), new BN(roundId).toArrayLike(Buffer, 'le', 8)],
+    programId
+  );
 }
 
-function buildResults(bossDefeated) {
-  const top = getTop(1)[0] || null;
-  return {
-    currentRoundId,
-    bossDefeated,
-    topDamageDealer: top ? top.username : null,
-    topDamage: top ? top.hits : 0,
-    lastHitter,
-    scores: Array.from(userHits.entries()).map(([username, hits]) => ({ username, hits })),
-    totalHits,
-    totalDeathBets: totalDeathBets / LAMPORTS_PER_SOL,
-    totalSurvivalBets: totalSurvivalBets / LAMPORTS_PER_SOL,
-    coinAddress: COIN_ADDRESS,
-    programId: PROGRAM_ID_STR,
-    bettingRoundPDA: bettingRoundPDA ? bettingRoundPDA.toString() : null,
-    timestamp: formatISO(new Date())
-  };
+function getBetPDA(roundId, bettor) {
+  return PublicKey.findProgramAddressSync(
+    [
+      Buffer.from('bet'),
+      new BN(roundId).toArrayLike(Buffer, 'le', 8),
+      bettor.toBuffer()
+    ],
+    programId
+  );
 }
 
-async function exportResults(results) {
-  const t = new Date();
-  const baseName = `bossfight_${COIN_ADDRESS}_${currentRoundId}_${t.getTime()}`;
-  
-  const jsonPath = path.join(EXPORT_DIR, `${baseName}.json`);
-  fs.writeFileSync(jsonPath, JSON.stringify(results, null, 2), 'utf8');
-  console.log('Results exported to:', jsonPath);
-
-  const csvPath = path.join(EXPORT_DIR, `${baseName}_damage.csv`);
-  const csvWriter = createCsvWriter({
-    path: csvPath,
-    header: [
-      { id: 'username', title: 'username' },
-      { id: 'hits', title: 'hits' }
-    ]
-  });
-  await csvWriter.writeRecords(results.scores);
-  console.log('Damage CSV exported to:', csvPath);
-  
-  return { jsonPath, csvPath };
-}
 
 function escapeRegExp(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\          console.log(`Winner: ${betData.username} - Bet: ${bet');
 }
-
-process.on('SIGINT', () => {
-  console.log('\nShutting down gracefully...');
-  if (gameTimer) clearTimeout(gameTimer);
-  if (pumpSocket && pumpSocket.readyState === WebSocket.OPEN) {
-    pumpSocket.close();
-  }
+function shutdown(signal) {
+  console.log(`\n${signal} received. Shutting down gracefully...`);
+  programEvents.stop();
+  payoutQueue.stop();
+  rooms.stop();
+  if (USE_MOCK_CHAIN) connection.flush();
   process.exit(0);
-});
\ No newline at end of file
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
\ No newline at end of file
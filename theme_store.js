@@ -0,0 +1,296 @@
+/**
+ * theme_store.js - Streamer themes: boss art, palette, font, sounds and copy
+ *
+ * A theme is THEMES_DIR/<id>/theme.json, next to the images and sounds it
+ * uses (served at /themes/<id>/<file>):
+ *   {
+ *     "name": "Neon Night",
+ *     "boss":     { "name": "Neon Golem", "image": "golem.png" },      any boss
+ *     "bosses":   { "rock_titan": { "image": "titan.png" } },          one boss by id
+ *     "palette":  { "primary", "secondary", "accent", "background", "text" },
+ *     "font":     { "heading": "Bangers", "body": "Inter", "url": "<stylesheet>" },
+ *     "sounds":   { "hit": "hit.mp3", "fightingMusic": "battle.ogg", ... },
+ *     "messages": { "fightStarted": "{boss} awakens! {fightDuration} to take it down!", ... }
+ *   }
+ * Every part is optional and falls back to the built-in "default" theme, the
+ * look the overlay always had. Asset values are a file in the theme's folder,
+ * an http(s) URL or a path on this server. Without a sound the overlay keeps
+ * its synthesized one.
+ *
+ * Each coin has its own active theme, saved to statePath. Activating a theme,
+ * or saving a new version of one that is active, emits 'activated' with the
+ * coin so its overlays can switch live.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_THEME_ID = 'default';
+
+const THEME_ID = /^[a-z0-9_-]{1,40}$/;
+const ASSET_FILE = /^[\w-]+\.(png|jpe?g|gif|webp|mp3|ogg|wav|m4a)$/i;
+// Hex, rgb(a)/hsl(a) or a named color; nothing that could close the CSS value
+const CSS_COLOR = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([\d\s.,%]+\)|[a-z]{3,20})$/i;
+const FONT_FAMILY = /^[\w\s-]{1,40}$/;
+
+// What the first bytes of each asset type look like, so an upload is the
+// kind of file its extension says
+const ASSET_SIGNATURES = {
+  png: data => startsWith(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  jpg: data => startsWith(data, [0xff, 0xd8, 0xff]),
+  gif: data => startsWith(data, 'GIF87a') || startsWith(data, 'GIF89a'),
+  webp: data => startsWith(data, 'RIFF') && startsWith(data, 'WEBP', 8),
+  // An ID3 tag, or straight into an MPEG frame (sync bits 0xFFE)
+  mp3: data => startsWith(data, 'ID3') || (data[0] === 0xff && (data[1] & 0xe0) === 0xe0),
+  ogg: data => startsWith(data, 'OggS'),
+  wav: data => startsWith(data, 'RIFF') && startsWith(data, 'WAVE', 8),
+  m4a: data => startsWith(data, 'ftyp', 4)
+};
+ASSET_SIGNATURES.jpeg = ASSET_SIGNATURES.jpg;
+
+const PALETTE_KEYS = ['primary', 'secondary', 'accent', 'background', 'text'];
+const SOUND_KEYS = ['hit', 'heal', 'bettingStart', 'fightStart', 'bossDefeated', 'bossSurvived',
+  'betPlaced', 'walletConnected', 'timerWarning', 'idleMusic', 'bettingMusic', 'fightingMusic'];
+const MESSAGE_MAX_LENGTH = 300;
+
+// Placeholders: {boss} everywhere, {bettingDuration} / {fightDuration} where
+// the round's durations apply
+const DEFAULT_THEME = {
+  id: DEFAULT_THEME_ID,
+  name: 'Default',
+  boss: {},
+  bosses: {},
+  palette: {
+    primary: '#00f0ff',
+    secondary: '#ff0080',
+    accent: '#ffd700',
+    background: '#0a0e27',
+    text: '#ffffff'
+  },
+  font: { heading: 'Orbitron', body: 'Rajdhani', url: null },
+  sounds: {},
+  messages: {
+    bettingStarted: 'Betting phase started! Place your bets on boss death or survival!',
+    bettingResumed: 'Betting phase resumed after a server restart.',
+    fightStarted: 'Raid started! You have {fightDuration} to defeat the boss!',
+    fightResumed: 'Raid resumed after a server restart!',
+    fightStartFailed: 'Failed to start fight phase. Please try starting a new betting round.',
+    bossDefeated: 'Boss defeated! Processing payouts...',
+    bossSurvived: 'Boss survived! Processing payouts...',
+    gameReset: 'Game reset. Ready for new betting phase!'
+  }
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Whether data has `bytes` (an array or an ASCII string) at `offset`
+function startsWith(data, bytes, offset = 0) {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return data.length >= offset + expected.length && data.subarray(offset, offset + expected.length).equals(expected);
+}
+
+function checkAsset(value, where) {
+  if (typeof value !== 'string' || !(ASSET_FILE.test(value) || /^(https?:\/\/|\/)[^\s"'()<>]+$/.test(value))) {
+    throw new Error(`${where} must be an image or sound file of the theme, an http(s) URL or a path on this server`);
+  }
+}
+
+function checkBossArt(art, where) {
+  if (!isObject(art)) throw new Error(`${where} must be an object`);
+  if (art.name !== undefined && (typeof art.name !== 'string' || !art.name.trim() || art.name.length > 40)) {
+    throw new Error(`${where}.name must be 1 to 40 characters`);
+  }
+  if (art.image !== undefined) checkAsset(art.image, `${where}.image`);
+}
+
+// Throws on the first problem, naming the field
+function validateTheme(raw) {
+  if (!isObject(raw)) throw new Error('Theme must be a JSON object');
+  if (raw.name !== undefined && (typeof raw.name !== 'string' || raw.name.length > 60)) {
+    throw new Error('name must be at most 60 characters');
+  }
+  if (raw.boss !== undefined) checkBossArt(raw.boss, 'boss');
+  if (raw.bosses !== undefined) {
+    if (!isObject(raw.bosses)) throw new Error('bosses must map boss ids to { name, image }');
+    for (const [bossId, art] of Object.entries(raw.bosses)) checkBossArt(art, `bosses.${bossId}`);
+  }
+  if (raw.palette !== undefined) {
+    if (!isObject(raw.palette)) throw new Error('palette must be an object');
+    for (const [key, color] of Object.entries(raw.palette)) {
+      if (!PALETTE_KEYS.includes(key)) throw new Error(`palette.${key} is unknown. Use: ${PALETTE_KEYS.join(', ')}`);
+      if (typeof color !== 'string' || !CSS_COLOR.test(color)) throw new Error(`palette.${key} must be a CSS color`);
+    }
+  }
+  if (raw.font !== undefined) {
+    if (!isObject(raw.font)) throw new Error('font must be an object');
+    for (const key of ['heading', 'body']) {
+      if (raw.font[key] !== undefined && (typeof raw.font[key] !== 'string' || !FONT_FAMILY.test(raw.font[key]))) {
+        throw new Error(`font.${key} must be a font family name`);
+      }
+    }
+    if (raw.font.url !== undefined && raw.font.url !== null &&
+      (typeof raw.font.url !== 'string' || !/^https:\/\/[^\s"'()<>]+$/.test(raw.font.url))) {
+      throw new Error('font.url must be an https stylesheet URL');
+    }
+  }
+  if (raw.sounds !== undefined) {
+    if (!isObject(raw.sounds)) throw new Error('sounds must be an object');
+    for (const [key, sound] of Object.entries(raw.sounds)) {
+      if (!SOUND_KEYS.includes(key)) throw new Error(`sounds.${key} is unknown. Use: ${SOUND_KEYS.join(', ')}`);
+      checkAsset(sound, `sounds.${key}`);
+    }
+  }
+  if (raw.messages !== undefined) {
+    if (!isObject(raw.messages)) throw new Error('messages must be an object');
+    for (const [key, message] of Object.entries(raw.messages)) {
+      if (!Object.hasOwn(DEFAULT_THEME.messages, key)) {
+        throw new Error(`messages.${key} is unknown. Use: ${Object.keys(DEFAULT_THEME.messages).join(', ')}`);
+      }
+      if (typeof message !== 'string' || !message.trim() || message.length > MESSAGE_MAX_LENGTH) {
+        throw new Error(`messages.${key} must be 1 to ${MESSAGE_MAX_LENGTH} characters`);
+      }
+    }
+  }
+}
+
+// Theme file -> full theme: defaults filled in, asset files as URLs
+function resolveTheme(id, raw) {
+  const assetUrl = (value) => (ASSET_FILE.test(value) ? `/themes/${id}/${value}` : value);
+  const bossArt = (art = {}) => ({ ...art, ...(art.image ? { image: assetUrl(art.image) } : {}) });
+  const bosses = {};
+  for (const [bossId, art] of Object.entries(raw.bosses || {})) bosses[bossId] = bossArt(art);
+  const sounds = {};
+  for (const [key, sound] of Object.entries(raw.sounds || {})) sounds[key] = assetUrl(sound);
+
+  return {
+    id,
+    name: raw.name || id,
+    boss: bossArt(raw.boss),
+    bosses,
+    palette: { ...DEFAULT_THEME.palette, ...raw.palette },
+    font: { ...DEFAULT_THEME.font, ...raw.font },
+    sounds,
+    messages: { ...DEFAULT_THEME.messages, ...raw.messages }
+  };
+}
+
+class ThemeStore extends EventEmitter {
+  constructor({ dir, statePath }) {
+    super();
+    this.dir = dir;
+    this.statePath = statePath;
+    this.themes = new Map([[DEFAULT_THEME_ID, DEFAULT_THEME]]);
+    this.active = new Map(); // coin -> theme id
+
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+    const stateDir = path.dirname(statePath);
+    if (!fs.existsSync(stateDir)) fs.mkdirSync(stateDir, { recursive: true });
+    this.load();
+  }
+
+  load() {
+    for (const id of fs.readdirSync(this.dir)) {
+      const filePath = path.join(this.dir, id, 'theme.json');
+      if (!THEME_ID.test(id) || id === DEFAULT_THEME_ID || !fs.existsSync(filePath)) continue;
+      try {
+        const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        validateTheme(raw);
+        this.themes.set(id, resolveTheme(id, raw));
+      } catch (error) {
+        console.warn(`Skipping theme ${id}: ${error.message}`);
+      }
+    }
+
+    if (!fs.existsSync(this.statePath)) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+      for (const [coin, id] of Object.entries(saved.active || {})) {
+        if (this.themes.has(id)) this.active.set(coin, id);
+        else console.warn(`Theme ${id} of coin ${coin || '(default)'} is gone, using the default theme`);
+      }
+    } catch (error) {
+      console.error('Error loading active themes:', error.message);
+    }
+  }
+
+  saveActive() {
+    try {
+      const tmpPath = `${this.statePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ active: Object.fromEntries(this.active) }, null, 2), 'utf8');
+      fs.renameSync(tmpPath, this.statePath);
+    } catch (error) {
+      console.error('Error saving active themes:', error.message);
+    }
+  }
+
+  list() {
+    return Array.from(this.themes.values(), ({ id, name }) => ({ id, name }));
+  }
+
+  get(id) {
+    return this.themes.get(id) || null;
+  }
+
+  forCoin(coin) {
+    return this.themes.get(this.active.get(coin)) || DEFAULT_THEME;
+  }
+
+  // Name and image a coin's overlays show for a boss, over its bosses.json entry
+  bossArt(coin, bossId) {
+    const theme = this.forCoin(coin);
+    return { ...theme.boss, ...theme.bosses[bossId] };
+  }
+
+  // A message template of the coin's theme with its {placeholders} filled in;
+  // unknown placeholders are left as they are
+  message(coin, key, values = {}) {
+    const template = this.forCoin(coin).messages[key] || DEFAULT_THEME.messages[key];
+    return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] === undefined ? match : String(values[name])));
+  }
+
+  // Creates or replaces a theme; coins showing it switch to the new version
+  save(id, raw) {
+    if (!THEME_ID.test(id)) throw new Error('Theme id must be 1 to 40 lowercase letters, digits, - or _');
+    if (id === DEFAULT_THEME_ID) throw new Error('The default theme cannot be changed');
+    validateTheme(raw);
+
+    const themeDir = path.join(this.dir, id);
+    if (!fs.existsSync(themeDir)) fs.mkdirSync(themeDir, { recursive: true });
+    const filePath = path.join(themeDir, 'theme.json');
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(raw, null, 2), 'utf8');
+    fs.renameSync(tmpPath, filePath);
+
+    const theme = resolveTheme(id, raw);
+    this.themes.set(id, theme);
+    for (const [coin, activeId] of this.active) {
+      if (activeId === id) this.emit('activated', { coin, theme });
+    }
+    return theme;
+  }
+
+  // Stores an image or sound of a theme that already exists
+  saveAsset(id, file, data) {
+    if (!this.themes.has(id) || id === DEFAULT_THEME_ID) throw new Error(`Unknown theme ${id}`);
+    if (!ASSET_FILE.test(file)) throw new Error('Asset must be a .png, .jpg, .gif, .webp, .mp3, .ogg, .wav or .m4a file');
+    const extension = path.extname(file).slice(1).toLowerCase();
+    if (!ASSET_SIGNATURES[extension](data)) throw new Error(`File content is not a .${extension} file`);
+    fs.writeFileSync(path.join(this.dir, id, file), data);
+    return `/themes/${id}/${file}`;
+  }
+
+  activate(coin, id) {
+    const theme = this.themes.get(id);
+    if (!theme) throw new Error(`Unknown theme ${id}`);
+    if (id === DEFAULT_THEME_ID) this.active.delete(coin);
+    else this.active.set(coin, id);
+    this.saveActive();
+    this.emit('activated', { coin, theme });
+    return theme;
+  }
+}
+
+module.exports = { ThemeStore, DEFAULT_THEME_ID };
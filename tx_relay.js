@@ -0,0 +1,68 @@
+/**
+ * tx_relay.js - Submits transactions signed elsewhere and sees them through
+ *
+ * Used for bets signed in the player's wallet (/api/submit-bet):
+ * - simulate() runs the signed transaction against the current state,
+ *   signatures included, without sending it
+ * - sendAndConfirm() sends it, re-sends it every rebroadcastIntervalMs and
+ *   polls its status until it is confirmed, fails, or its blockhash passes
+ *   lastValidBlockHeight, and reports which of the three happened; after
+ *   timeoutMs it gives up whatever the chain says (timed_out)
+ */
+
+const { VersionedTransaction } = require('@solana/web3.js');
+
+const RELAY_RESULTS = {
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  EXPIRED: 'expired',
+  TIMED_OUT: 'timed_out'
+};
+
+class TransactionRelay {
+  constructor({ connection, rebroadcastIntervalMs = 2000, timeoutMs = 120000, commitment = 'confirmed' }) {
+    this.connection = connection;
+    this.rebroadcastIntervalMs = rebroadcastIntervalMs;
+    this.timeoutMs = timeoutMs;
+    this.commitment = commitment;
+  }
+
+  // { err, logs } of a dry run of the signed wire transaction
+  async simulate(rawTransaction) {
+    const tx = VersionedTransaction.deserialize(rawTransaction);
+    const { value } = await this.connection.simulateTransaction(tx, { sigVerify: true, commitment: this.commitment });
+    return value;
+  }
+
+  async status(signature) {
+    const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+    return value[0];
+  }
+
+  // Resolves to { signature, result, err } once the outcome is final
+  async sendAndConfirm(rawTransaction, lastValidBlockHeight) {
+    const sendOptions = { skipPreflight: true, maxRetries: 0 };
+    const signature = await this.connection.sendRawTransaction(rawTransaction, sendOptions);
+    const deadline = Date.now() + this.timeoutMs;
+
+    for (;;) {
+      const status = await this.status(signature);
+      if (status && status.err) return { signature, result: RELAY_RESULTS.FAILED, err: status.err };
+      if (status && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+        return { signature, result: RELAY_RESULTS.CONFIRMED, err: null };
+      }
+      // Once the blockhash is too old the transaction can no longer land,
+      // unless it already did and is still on its way to confirmation
+      if (!status && await this.connection.getBlockHeight(this.commitment) > lastValidBlockHeight) {
+        return { signature, result: RELAY_RESULTS.EXPIRED, err: null };
+      }
+      // A stuck RPC node must not hold the request (and its bet) forever
+      if (Date.now() > deadline) return { signature, result: RELAY_RESULTS.TIMED_OUT, err: null };
+
+      await new Promise(resolve => setTimeout(resolve, this.rebroadcastIntervalMs));
+      await this.connection.sendRawTransaction(rawTransaction, sendOptions).catch(() => {});
+    }
+  }
+}
+
+module.exports = { TransactionRelay, RELAY_RESULTS };